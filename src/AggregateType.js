@@ -0,0 +1,27 @@
+/**
+ * Aggregate type for `Column.aggregate`
+ */
+const AggregateType = {
+  /**
+   * The sum of the numeric cell data
+   */
+  SUM: 'sum',
+  /**
+   * The average of the numeric cell data, it's `null` if there is no numeric cell data
+   */
+  AVG: 'avg',
+  /**
+   * The minimum of the numeric cell data, it's `null` if there is no numeric cell data
+   */
+  MIN: 'min',
+  /**
+   * The maximum of the numeric cell data, it's `null` if there is no numeric cell data
+   */
+  MAX: 'max',
+  /**
+   * The number of the non-empty cell data
+   */
+  COUNT: 'count',
+};
+
+export default AggregateType;
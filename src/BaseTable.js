@@ -8,12 +8,18 @@ import TableHeaderRow from './TableHeaderRow';
 import TableRow from './TableRow';
 import TableHeaderCell from './TableHeaderCell';
 import TableCell from './TableCell';
+import CellEditor from './CellEditor';
+import EditingCell from './EditingCell';
 import Column, { Alignment, FrozenDirection } from './Column';
 import SortOrder from './SortOrder';
+import SelectionMode from './SelectionMode';
 import ExpandIcon from './ExpandIcon';
 import SortIndicator from './SortIndicator';
-import ColumnResizer from './ColumnResizer';
+import ColumnFilter from './ColumnFilter';
+import ColumnResizer, { addUserSelectStyles, removeUserSelectStyles } from './ColumnResizer';
 import ColumnManager from './ColumnManager';
+import EditHistory from './EditHistory';
+import { compileFilterExpression, FilterExpressionError } from './filterExpression';
 
 import {
   renderElement,
@@ -25,7 +31,39 @@ import {
   hasChildren,
   flattenOnKeys,
   cloneArray,
-  getValue,
+  isArrayEqual,
+  getRowKeysInRange,
+  getCellRangeBounds,
+  getCellData,
+  toTSV,
+  parseTSV,
+  isPromise,
+  getErrorMessage,
+  isEditableElement,
+  getFillValues,
+  getTreeSelectionState,
+  getTreeSelectedRowKeys,
+  getAllRowKeys,
+  sortData,
+  sortTree,
+  getColumnFilter,
+  isFilterActive,
+  getFilterPredicate,
+  getSearchPredicate,
+  filterTree,
+  findCells,
+  getColumnFacets,
+  groupData,
+  getAggregates,
+  isSummaryRow,
+  GROUP_KEY,
+  TOTAL_KEY,
+  getSearchText,
+  getMatchRanges,
+  getSortDescriptors,
+  getNextSortOrder,
+  toHTMLTable,
+  toString,
   throttle,
   debounce,
   noop,
@@ -43,14 +81,22 @@ const getContainerStyle = (width, maxWidth, height) => ({
 const DEFAULT_COMPONENTS = {
   TableCell,
   TableHeaderCell,
+  CellEditor,
   ExpandIcon,
   SortIndicator,
+  ColumnFilter,
 };
 
 const RESIZE_THROTTLE_WAIT = 50;
+// the max distance in pixels to scroll per frame while selecting cells outside of the viewport
+const AUTO_SCROLL_MAX_STEP = 50;
 
 // used for memoization
 const EMPTY_ARRAY = [];
+const EMPTY_OBJECT = {};
+const UNCHECKED_STATE = { checked: false, indeterminate: false };
+const CHECKED_STATE = { checked: true, indeterminate: false };
+const INDETERMINATE_STATE = { checked: false, indeterminate: true };
 
 /**
  * React table component
@@ -59,13 +105,34 @@ class BaseTable extends React.PureComponent {
   constructor(props) {
     super(props);
 
-    const { columns, children, defaultExpandedRowKeys } = props;
+    const {
+      columns,
+      children,
+      defaultExpandedRowKeys,
+      defaultSelectedRowKeys,
+      defaultExcludedRowKeys,
+      defaultSelectedRange,
+      defaultSortBy,
+      defaultSortState,
+      defaultFilterState,
+    } = props;
     this.state = {
       scrollbarSize: 0,
       hoveredRowKey: null,
       resizingKey: null,
       resizingWidth: 0,
       expandedRowKeys: cloneArray(defaultExpandedRowKeys),
+      selectedRowKeys: cloneArray(defaultSelectedRowKeys),
+      excludedRowKeys: defaultExcludedRowKeys ? cloneArray(defaultExcludedRowKeys) : null,
+      selectedRange: defaultSelectedRange || null,
+      sortBy: defaultSortBy || EMPTY_OBJECT,
+      sortState: defaultSortState || null,
+      filterState: defaultFilterState || EMPTY_OBJECT,
+      activeCell: null,
+      editingCell: null,
+      fillRange: null,
+      filterCollapse: null,
+      foundCell: null,
       // saveScrollTopRestored: false
     };
     this.columnManager = new ColumnManager(getColumns(columns, children), props.fixed);
@@ -74,22 +141,43 @@ class BaseTable extends React.PureComponent {
     this._setMainTableRef = this._setMainTableRef.bind(this);
     this._setLeftTableRef = this._setLeftTableRef.bind(this);
     this._setRightTableRef = this._setRightTableRef.bind(this);
+    this._setFooterRef = this._setFooterRef.bind(this);
 
     this.renderExpandIcon = this.renderExpandIcon.bind(this);
     this.renderRow = this.renderRow.bind(this);
     this.renderRowCell = this.renderRowCell.bind(this);
     this.renderHeader = this.renderHeader.bind(this);
     this.renderHeaderCell = this.renderHeaderCell.bind(this);
+    this.renderFilterCell = this.renderFilterCell.bind(this);
 
     this._handleScroll = this._handleScroll.bind(this);
     this._handleVerticalScroll = this._handleVerticalScroll.bind(this);
     this._handleRowsRendered = this._handleRowsRendered.bind(this);
     this._handleRowHover = this._handleRowHover.bind(this);
     this._handleRowExpand = this._handleRowExpand.bind(this);
+    this._handleRowSelect = this._handleRowSelect.bind(this);
+    this._handleSelectionChange = this._handleSelectionChange.bind(this);
+    this._handleCellMouseDown = this._handleCellMouseDown.bind(this);
+    this._handleRangeMouseMove = this._handleRangeMouseMove.bind(this);
+    this._handleRangeMouseUp = this._handleRangeMouseUp.bind(this);
+    this._handleFillHandleMouseDown = this._handleFillHandleMouseDown.bind(this);
+    this._handleAutoScroll = this._handleAutoScroll.bind(this);
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleCellFocus = this._handleCellFocus.bind(this);
+    this._focusActiveCell = this._focusActiveCell.bind(this);
+    this._focusContainer = this._focusContainer.bind(this);
+    this._handleCopy = this._handleCopy.bind(this);
+    this._handlePaste = this._handlePaste.bind(this);
+    this._handleCellDoubleClick = this._handleCellDoubleClick.bind(this);
+    this._handleEditorChange = this._handleEditorChange.bind(this);
+    this._handleEditorCommit = this._handleEditorCommit.bind(this);
+    this._handleEditorCancel = this._handleEditorCancel.bind(this);
+    this._commitEdit = this._commitEdit.bind(this);
     this._handleColumnResize = throttle(this._handleColumnResize.bind(this), RESIZE_THROTTLE_WAIT);
     this._handleColumnResizeStart = this._handleColumnResizeStart.bind(this);
     this._handleColumnResizeStop = this._handleColumnResizeStop.bind(this);
     this._handleColumnSort = this._handleColumnSort.bind(this);
+    this._handleFilterChange = this._handleFilterChange.bind(this);
     this._handleFrozenRowHeightChange = this._handleFrozenRowHeightChange.bind(this);
     this._handleRowHeightChange = this._handleRowHeightChange.bind(this);
 
@@ -99,6 +187,91 @@ class BaseTable extends React.PureComponent {
       this._depthMap = {};
       return flattenOnKeys(tree, keys, this._depthMap, dataKey);
     });
+    // the groups are always expanded without `expandColumnKey`, as there is nowhere to collapse them
+    this._flattenGroups = memoize((tree, dataKey) => {
+      const groupKeys = [];
+      const collect = rows =>
+        rows.forEach(rowData => {
+          if (!rowData[GROUP_KEY]) return;
+          groupKeys.push(rowData[dataKey]);
+          collect(rowData.children);
+        });
+      collect(tree);
+      return flattenOnKeys(tree, groupKeys, {}, dataKey);
+    });
+    this._getCellRangeBounds = memoize(getCellRangeBounds);
+    this._getFillRangeBounds = memoize(getCellRangeBounds);
+    this._getTreeSelectionState = memoize(getTreeSelectionState);
+    this._sortData = memoize((data, sortBy, sortState, columns, isTree) =>
+      // the tree data is sorted in each group of siblings to keep the hierarchy
+      (isTree ? sortTree : sortData)(data, getSortDescriptors(sortBy, sortState, columns), columns)
+    );
+    this._compileFilterExpression = memoize((filterExpression, columns) => {
+      try {
+        return { predicate: compileFilterExpression(filterExpression, columns), error: null };
+      } catch (error) {
+        if (!(error instanceof FilterExpressionError)) throw error;
+        // the invalid expression is ignored, the error is passed to `onFilterExpressionError` after rendering
+        return { predicate: null, error };
+      }
+    });
+    this._filterData = memoize((data, filterState, searchText, filterExpression, columns, rowKey, isTree) => {
+      const predicate = this._getDataPredicate(filterState, searchText, filterExpression, columns);
+      if (!predicate) return { data, expandedRowKeys: null };
+
+      // the tree data is filtered with the ancestors of the matching rows, which are expanded temporarily
+      if (isTree) return filterTree(data, predicate, rowKey);
+      return { data: data.filter(predicate), expandedRowKeys: null };
+    });
+    this._groupData = memoize((data, groupBy, columns, dataKey) => {
+      const lastGroups = this._lastGroups;
+      // the group rows of the unchanged rows are reused, so only the aggregates of the changed groups are recomputed
+      const prevGroups =
+        lastGroups && isArrayEqual(lastGroups.groupBy, groupBy) && lastGroups.columns === columns
+          ? lastGroups.groups
+          : null;
+      const groups = groupData(data, groupBy, columns, dataKey, prevGroups);
+      this._lastGroups = { groupBy, columns, groups };
+      return groups;
+    });
+    this._getTotalRow = memoize((data, columns, dataKey) => ({
+      [dataKey]: TOTAL_KEY,
+      [TOTAL_KEY]: { count: data.length, aggregates: getAggregates(data, columns) },
+    }));
+    this._appendTotalRow = memoize((data, totalRow) => data.concat(totalRow));
+    // the facets of the columns are cached until the data or any of the filters is changed
+    this._getFacetsCache = memoize(() => new Map());
+    this._mergeExpandedRowKeys = memoize((expandedRowKeys, filterExpandedRowKeys, collapsedRowKeys) => {
+      const keysSet = new Set(expandedRowKeys);
+      filterExpandedRowKeys.forEach(key => keysSet.add(key));
+      collapsedRowKeys.forEach(key => keysSet.delete(key));
+      return Array.from(keysSet);
+    });
+    this._getHeaderHeights = memoize((headerHeight, filterRowHeight) =>
+      filterRowHeight > 0 ? [].concat(headerHeight, filterRowHeight) : headerHeight
+    );
+    this._getSelectAllState = memoize((data, selectedRowKeys, excludedRowKeys, selectionMode, rowKey) => {
+      if (excludedRowKeys) return excludedRowKeys.length ? INDETERMINATE_STATE : CHECKED_STATE;
+
+      const rowKeys = getAllRowKeys(data, rowKey);
+      const keysSet = new Set(selectedRowKeys);
+      const stateMap =
+        selectionMode === SelectionMode.TREE ? this._getTreeSelectionState(data, selectedRowKeys, rowKey) : null;
+      const checkedCount = rowKeys.filter(key => (stateMap ? stateMap.get(key).checked : keysSet.has(key))).length;
+      if (!checkedCount) return UNCHECKED_STATE;
+      return checkedCount === rowKeys.length ? CHECKED_STATE : INDETERMINATE_STATE;
+    });
+    this._getTabbableCell = memoize((activeCell, data, columns, rowKey) => {
+      if (!data.length || !columns.length) return null;
+      // fallback to the first cell if the active cell is collapsed or hidden
+      if (activeCell) {
+        const rowIndex = data.findIndex(rowData => rowData[rowKey] === activeCell.rowKey);
+        if (rowIndex >= 0 && columns.some(column => column.key === activeCell.columnKey)) {
+          return { rowIndex, columnKey: activeCell.columnKey };
+        }
+      }
+      return { rowIndex: 0, columnKey: columns[0].key };
+    });
     this._resetColumnManager = memoize(
       (columns, fixed) => {
         this.columnManager.reset(columns, fixed);
@@ -142,6 +315,15 @@ class BaseTable extends React.PureComponent {
 
     this._data = props.data;
     this._depthMap = {};
+    // the row where the Shift-click range selection starts from
+    this._selectionAnchorKey = null;
+    this._isSelectingRange = false;
+    // whether the fill handle is being dragged rather than the range
+    this._isFilling = false;
+    this._rangePointer = null;
+    this._autoScrollFrame = null;
+    this._visibleRowCount = 0;
+    this._editHistory = new EditHistory(props.undoLimit);
 
     this._horizontalScrollbarSize = 0;
     this._verticalScrollbarSize = 0;
@@ -170,13 +352,132 @@ class BaseTable extends React.PureComponent {
     return expandedRowKeys !== undefined ? expandedRowKeys || EMPTY_ARRAY : this.state.expandedRowKeys;
   }
 
+  /**
+   * Get internal `selectedRowKeys` state
+   */
+  getSelectedRowKeys() {
+    const { selectedRowKeys } = this.props;
+    return selectedRowKeys !== undefined ? selectedRowKeys || EMPTY_ARRAY : this.state.selectedRowKeys;
+  }
+
+  /**
+   * Get internal `excludedRowKeys` state, it's `null` unless all the matching rows are selected
+   */
+  getExcludedRowKeys() {
+    const { excludedRowKeys } = this.props;
+    return excludedRowKeys !== undefined ? excludedRowKeys : this.state.excludedRowKeys;
+  }
+
+  /**
+   * Get the state of the select-all checkbox, of the shape of `{ checked, indeterminate }`
+   */
+  getSelectAllState() {
+    return this._getSelectAllState(
+      this._getFilteredData(),
+      this.getSelectedRowKeys(),
+      this.getExcludedRowKeys(),
+      this.props.selectionMode,
+      this.props.rowKey
+    );
+  }
+
+  /**
+   * Get the selection state of the row, of the shape of `{ checked, indeterminate }`.
+   * In `tree` selection mode, a parent is checked if all its descendants are selected,
+   * or indeterminate if some of them are selected, only the rows matching the filters are counted,
+   * the same as `getSelectAllState`
+   *
+   * @param {string|number} rowKey
+   */
+  getRowSelectionState(rowKey) {
+    const excludedRowKeys = this.getExcludedRowKeys();
+    if (excludedRowKeys) return excludedRowKeys.indexOf(rowKey) >= 0 ? UNCHECKED_STATE : CHECKED_STATE;
+
+    const selectedRowKeys = this.getSelectedRowKeys();
+    if (this.props.selectionMode === SelectionMode.TREE) {
+      const stateMap = this._getTreeSelectionState(this._getFilteredData(), selectedRowKeys, this.props.rowKey);
+      return stateMap.get(rowKey) || UNCHECKED_STATE;
+    }
+    return selectedRowKeys.indexOf(rowKey) >= 0 ? CHECKED_STATE : UNCHECKED_STATE;
+  }
+
+  /**
+   * Get internal `sortBy` state
+   */
+  getSortBy() {
+    const { sortBy } = this.props;
+    return sortBy !== undefined ? sortBy || EMPTY_OBJECT : this.state.sortBy;
+  }
+
+  /**
+   * Get internal `sortState` state
+   */
+  getSortState() {
+    const { sortState } = this.props;
+    return sortState !== undefined ? sortState : this.state.sortState;
+  }
+
+  /**
+   * Get internal `filterState` state
+   */
+  getFilterState() {
+    const { filterState } = this.props;
+    return filterState !== undefined ? filterState || EMPTY_OBJECT : this.state.filterState;
+  }
+
+  /**
+   * Get the distinct values of the column with their counts of the shape of `[{ value, count }]`, they are computed
+   * from the full data including the nested `children`, and filtered by all the filters except the column's own one
+   */
+  getColumnFacets(columnKey) {
+    const { data, clientFilter, searchText, filterExpression } = this.props;
+    const columns = this.columnManager.getOriginalColumns();
+    const filterState = clientFilter ? this.getFilterState() : null;
+    const cache = this._getFacetsCache(data, filterState, searchText, filterExpression, columns);
+    const key = String(columnKey);
+    if (!cache.has(key)) {
+      const column = columns.find(x => String(x.key) === key);
+      if (!column) return EMPTY_ARRAY;
+
+      const otherFilterState = { ...filterState };
+      delete otherFilterState[key];
+      const predicate = this._getDataPredicate(otherFilterState, searchText, filterExpression, columns);
+      cache.set(key, getColumnFacets(data, column, columns, predicate));
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Get the aggregates of the filtered data of the shape of `{ [columnKey]: value }` by `Column.aggregate`,
+   * which are rendered in the total row, e.g. to render the percentage of the total in `cellRenderer`
+   */
+  getTotalAggregates() {
+    const columns = this.columnManager.getOriginalColumns();
+    return this._getTotalRow(this._getFilteredData(), columns, this.props.rowKey)[TOTAL_KEY].aggregates;
+  }
+
+  /**
+   * Get internal `selectedRange` state
+   */
+  getSelectedRange() {
+    const { selectedRange } = this.props;
+    return selectedRange !== undefined ? selectedRange : this.state.selectedRange;
+  }
+
+  /**
+   * Get the active cell for keyboard navigation, it's of the shape of `{ rowKey, columnKey }`
+   */
+  getActiveCell() {
+    return this.state.activeCell;
+  }
+
   /**
    * Get the expanded state, fallback to normal state if not expandable.
    */
   getExpandedState() {
     return {
       expandedData: this._data,
-      expandedRowKeys: this.getExpandedRowKeys(),
+      expandedRowKeys: this._getRenderedExpandedRowKeys(),
       expandedDepthMap: this._depthMap,
     };
   }
@@ -255,6 +556,7 @@ class BaseTable extends React.PureComponent {
     this.table && this.table.scrollToPosition(offset);
     this.leftTable && this.leftTable.scrollToTop(offset.scrollTop);
     this.rightTable && this.rightTable.scrollToTop(offset.scrollTop);
+    this._syncFooterScrollLeft();
 
     const { saveScrollTopRestored } = this.state;
 
@@ -285,6 +587,7 @@ class BaseTable extends React.PureComponent {
     this._scroll.scrollLeft = scrollLeft;
 
     this.table && this.table.scrollToPosition(this._scroll);
+    this._syncFooterScrollLeft();
   }
 
   /**
@@ -307,6 +610,83 @@ class BaseTable extends React.PureComponent {
     this.rightTable && this.rightTable.scrollToRow(rowIndex, align);
   }
 
+  /**
+   * Scroll to the specified column horizontally.
+   * Frozen columns are always visible, and the table will scroll as little as possible to ensure the column is visible.
+   *
+   * @param {string} columnKey
+   */
+  scrollToColumn(columnKey) {
+    const { fixed, width } = this.props;
+    const column = this.columnManager.getColumn(columnKey);
+    if (!fixed || !column || column.frozen) return;
+
+    const mainColumns = this.columnManager.getMainColumns();
+    const idx = mainColumns.findIndex(x => x.key === columnKey);
+    const left = this.columnManager.recomputeColumnsWidth(mainColumns.slice(0, idx));
+    const { scrollLeft } = this._scroll;
+    const viewportLeft = scrollLeft + this.columnManager.getLeftFrozenColumnsWidth();
+    const viewportRight =
+      scrollLeft + width - this._verticalScrollbarSize - this.columnManager.getRightFrozenColumnsWidth();
+
+    let offset = 0;
+    if (left < viewportLeft) {
+      offset = left - viewportLeft;
+    } else if (left + column.width > viewportRight) {
+      // align the column to the left side if it's wider than the viewport
+      offset = Math.min(left + column.width - viewportRight, left - viewportLeft);
+    }
+    if (!offset) return;
+
+    // keep `scrollTop` untouched as there may be a pending vertical scrolling
+    this._scroll.scrollLeft = scrollLeft + offset;
+    this.table && this.table.scrollToLeft(this._scroll.scrollLeft);
+    this._syncFooterScrollLeft();
+  }
+
+  /**
+   * Find the cells containing the query case-insensitively in the full data, including the rows not rendered
+   * and the collapsed rows in the tree data, then go to the first match.
+   * It returns the current match of the shape of `{ rowKey, columnKey, index, count }`, or `null` if not found
+   *
+   * @param {string} query
+   */
+  find(query) {
+    this._findState = { query, data: null, matches: [], index: -1 };
+    return this._goToFoundCell(0);
+  }
+
+  /**
+   * Go to the next match of the last `find`, it goes to the first one after the last one
+   */
+  findNext() {
+    if (!this._findState) return null;
+    return this._goToFoundCell(this._findState.index + 1);
+  }
+
+  /**
+   * Go to the previous match of the last `find`, it goes to the last one before the first one
+   */
+  findPrevious() {
+    if (!this._findState) return null;
+    return this._goToFoundCell(this._findState.index - 1);
+  }
+
+  /**
+   * Set the active cell for keyboard navigation, the cell will be scrolled into view and focused.
+   * This method is available only if `keyboardNavigable` is true.
+   *
+   * @param {object} activeCell of the shape of `{ rowKey, columnKey }`
+   */
+  setActiveCell(activeCell) {
+    if (!this.props.keyboardNavigable || !activeCell) return;
+
+    const rowIndex = this._data.findIndex(rowData => rowData[this.props.rowKey] === activeCell.rowKey);
+    if (rowIndex < 0) return;
+
+    this._activateCell(rowIndex, activeCell.columnKey);
+  }
+
   /**
    * Set `expandedRowKeys` manually.
    * This method is available only if `expandedRowKeys` is uncontrolled.
@@ -322,12 +702,143 @@ class BaseTable extends React.PureComponent {
     });
   }
 
+  /**
+   * Set `selectedRowKeys` manually.
+   * This method is available only if `selectedRowKeys` is uncontrolled.
+   *
+   * @param {array} selectedRowKeys
+   */
+  setSelectedRowKeys(selectedRowKeys) {
+    // if `selectedRowKeys` is controlled
+    if (this.props.selectedRowKeys !== undefined) return;
+
+    this.setState({
+      selectedRowKeys: cloneArray(selectedRowKeys),
+    });
+  }
+
+  /**
+   * Set `selectedRange` manually.
+   * This method is available only if `selectedRange` is uncontrolled.
+   *
+   * @param {object} selectedRange
+   */
+  setSelectedRange(selectedRange) {
+    // if `selectedRange` is controlled
+    if (this.props.selectedRange !== undefined) return;
+
+    this.setState({ selectedRange: selectedRange || null });
+  }
+
+  /**
+   * Select or deselect the specified row, `onSelectionChange` will be called with the new selected row keys.
+   * It's useful to implement a checkbox column with custom `cellRenderer` via the `container` param.
+   *
+   * @param {string|number} rowKey
+   * @param {boolean} selected
+   */
+  selectRow(rowKey, selected = true) {
+    const excludedRowKeys = this.getExcludedRowKeys();
+    if (excludedRowKeys) {
+      const excluded = excludedRowKeys.indexOf(rowKey) >= 0;
+      if (selected !== excluded) return;
+      this._handleExcludedRowsChange(
+        selected ? excludedRowKeys.filter(key => key !== rowKey) : excludedRowKeys.concat(rowKey)
+      );
+      return;
+    }
+
+    if (this.props.selectionMode === SelectionMode.TREE) {
+      const selectedRowKeys = this.getSelectedRowKeys();
+      const nextSelectedRowKeys = getTreeSelectedRowKeys(
+        this.props.data,
+        selectedRowKeys,
+        rowKey,
+        selected,
+        this.props.rowKey
+      );
+      if (!isArrayEqual(nextSelectedRowKeys, selectedRowKeys)) this._handleSelectionChange(nextSelectedRowKeys);
+      return;
+    }
+
+    const selectedRowKeys = cloneArray(this.getSelectedRowKeys());
+    const index = selectedRowKeys.indexOf(rowKey);
+    if (selected) {
+      if (index >= 0) return;
+      selectedRowKeys.push(rowKey);
+    } else {
+      if (index < 0) return;
+      selectedRowKeys.splice(index, 1);
+    }
+    this._handleSelectionChange(selectedRowKeys);
+  }
+
+  /**
+   * Select or deselect all the rows, it's useful to implement a select-all checkbox with custom `headerRenderer`.
+   * If `selectAllMatching` is true, all the rows matching the current query are selected including the ones
+   * not loaded yet, then `onExcludedRowsChange` will be called with an empty array instead of listing the row keys
+   *
+   * @param {boolean} selected
+   */
+  selectAll(selected = true) {
+    const { rowKey, selectionMode, selectAllMatching } = this.props;
+    if (selected && selectAllMatching && selectionMode !== SelectionMode.TREE) {
+      if (this.getSelectedRowKeys().length) this._handleSelectionChange([]);
+      this._handleExcludedRowsChange([]);
+      return;
+    }
+
+    const selectedRowKeys = selected ? getAllRowKeys(this._getFilteredData(), rowKey) : [];
+    if (this.getExcludedRowKeys() || !isArrayEqual(selectedRowKeys, this.getSelectedRowKeys())) {
+      this._handleSelectionChange(selectedRowKeys);
+    }
+  }
+
+  /**
+   * Undo the last batch of changes made by editing or pasting,
+   * the inverse changes are passed to the callback which received the original changes
+   *
+   * @return {boolean} whether there are changes undone
+   */
+  undo() {
+    if (this.state.editingCell || !this._editHistory.canUndo()) return false;
+
+    this._replayChanges(this._editHistory.undo(), 'undo');
+    return true;
+  }
+
+  /**
+   * Redo the last undone batch of changes
+   *
+   * @return {boolean} whether there are changes redone
+   */
+  redo() {
+    if (this.state.editingCell || !this._editHistory.canRedo()) return false;
+
+    this._replayChanges(this._editHistory.redo(), 'redo');
+    return true;
+  }
+
+  /**
+   * Whether there are changes to undo
+   */
+  canUndo() {
+    return this._editHistory.canUndo();
+  }
+
+  /**
+   * Whether there are undone changes to redo
+   */
+  canRedo() {
+    return this._editHistory.canRedo();
+  }
+
   renderExpandIcon({ rowData, rowIndex, depth, onExpand }) {
     const { rowKey, expandColumnKey, expandIconProps } = this.props;
     if (!expandColumnKey) return null;
 
     const expandable = rowIndex >= 0 && hasChildren(rowData);
-    const expanded = rowIndex >= 0 && this.getExpandedRowKeys().indexOf(rowData[rowKey]) >= 0;
+    const expanded = rowIndex >= 0 && this._getRenderedExpandedRowKeys().indexOf(rowData[rowKey]) >= 0;
     const extraProps = callOrReturn(expandIconProps, { rowData, rowIndex, depth, expandable, expanded });
     const ExpandIcon = this._getComponent('ExpandIcon');
 
@@ -335,18 +846,35 @@ class BaseTable extends React.PureComponent {
   }
 
   renderRow({ isScrolling, columns, rowData, rowIndex, style }) {
-    const { rowClassName, rowRenderer, rowEventHandlers, expandColumnKey, estimatedRowHeight } = this.props;
+    const {
+      rowClassName,
+      rowRenderer,
+      rowEventHandlers,
+      expandColumnKey,
+      estimatedRowHeight,
+      selectionMode,
+    } = this.props;
 
     const rowClass = callOrReturn(rowClassName, { columns, rowData, rowIndex });
     const extraProps = callOrReturn(this.props.rowProps, { columns, rowData, rowIndex });
     const rowKey = rowData[this.props.rowKey];
     const depth = this._depthMap[rowKey] || 0;
+    const rangeBounds = this._getSelectedRangeBounds();
+    const fillBounds = this._getFillBounds();
+    const tabbableCell = this._getTabbableCellInfo();
+    const { editingCell, foundCell } = this.state;
+    const selectionState = this.getRowSelectionState(rowKey);
 
     const className = cn(this._prefixClass('row'), rowClass, {
       [this._prefixClass(`row--depth-${depth}`)]: !!expandColumnKey && rowIndex >= 0,
-      [this._prefixClass('row--expanded')]: !!expandColumnKey && this.getExpandedRowKeys().indexOf(rowKey) >= 0,
+      [this._prefixClass('row--expanded')]:
+        !!expandColumnKey && this._getRenderedExpandedRowKeys().indexOf(rowKey) >= 0,
+      [this._prefixClass('row--selected')]: selectionState.checked,
+      [this._prefixClass('row--partially-selected')]: selectionState.indeterminate,
       [this._prefixClass('row--hovered')]: !isScrolling && rowKey === this.state.hoveredRowKey,
       [this._prefixClass('row--frozen')]: depth === 0 && rowIndex < 0,
+      [this._prefixClass('row--group')]: !!rowData[GROUP_KEY],
+      [this._prefixClass('row--total')]: !!rowData[TOTAL_KEY],
       [this._prefixClass('row--customized')]: rowRenderer,
     });
 
@@ -366,12 +894,31 @@ class BaseTable extends React.PureComponent {
       depth,
       rowEventHandlers,
       rowRenderer,
+      // used to re-render the row when the selected cells in the row changed
+      selectedColumnKeys:
+        rangeBounds && rowIndex >= rangeBounds.startRowIndex && rowIndex <= rangeBounds.endRowIndex
+          ? rangeBounds.columnKeys
+          : null,
+      // used to re-render the row when the cells to be filled in the row changed
+      fillColumnKeys:
+        fillBounds && rowIndex >= fillBounds.startRowIndex && rowIndex <= fillBounds.endRowIndex
+          ? fillBounds.columnKeys
+          : null,
+      // used to re-render the row when the active cell moves into or out of the row
+      activeColumnKey: tabbableCell && tabbableCell.rowIndex === rowIndex ? tabbableCell.columnKey : null,
+      // used to re-render the row when the editing cell or its value changed
+      editingCell: editingCell && editingCell.rowKey === rowKey && rowIndex >= 0 ? editingCell : null,
+      // used to re-render the row when the matches of the search text changed
+      searchText: this.props.searchText,
+      // used to re-render the row when the found cell moves into or out of the row
+      foundColumnKey: foundCell && foundCell.rowKey === rowKey && rowIndex >= 0 ? foundCell.columnKey : null,
       // for frozen rows we use fixed rowHeight
       estimatedRowHeight: rowIndex >= 0 ? estimatedRowHeight : undefined,
       getIsResetting: this._getIsResetting,
       cellRenderer: this.renderRowCell,
       expandIconRenderer: this.renderExpandIcon,
       onRowExpand: this._handleRowExpand,
+      onRowSelect: selectionMode ? this._handleRowSelect : null,
       // for fixed table, we need to sync the hover state across the inner tables
       onRowHover: hasFrozenColumns ? this._handleRowHover : null,
       onRowHeightChange: hasFrozenColumns ? this._handleFrozenRowHeightChange : this._handleRowHeightChange,
@@ -391,40 +938,194 @@ class BaseTable extends React.PureComponent {
       );
     }
 
-    const { className, dataKey, dataGetter, cellRenderer } = column;
+    const { className, cellRenderer } = column;
     const TableCell = this._getComponent('TableCell');
 
-    const cellData = dataGetter
-      ? dataGetter({ columns, column, columnIndex, rowData, rowIndex })
-      : getValue(rowData, dataKey);
-    const cellProps = { isScrolling, cellData, columns, column, columnIndex, rowData, rowIndex, container: this };
-    const cell = renderElement(cellRenderer || <TableCell className={this._prefixClass('row-cell-text')} />, cellProps);
+    const group = rowData[GROUP_KEY];
+    const summary = group || rowData[TOTAL_KEY];
+    // the summary rows have no cell data, their cells show the aggregates of the columns
+    const cellData = summary
+      ? summary.aggregates[column.key]
+      : getCellData({ columns, column, columnIndex, rowData, rowIndex });
+    const selectionState = this.getRowSelectionState(rowData[this.props.rowKey]);
+    const { searchText } = this.props;
+    const matchRanges = searchText && !summary ? getMatchRanges(getSearchText(cellData), searchText) : EMPTY_ARRAY;
+    const cellProps = {
+      isScrolling,
+      cellData,
+      columns,
+      column,
+      columnIndex,
+      rowData,
+      rowIndex,
+      selectionState,
+      matchRanges,
+      container: this,
+    };
+    if (summary) cellProps.aggregates = summary.aggregates;
+    const { editingCell } = this.state;
+    const editing =
+      !!editingCell &&
+      rowIndex >= 0 &&
+      editingCell.rowKey === rowData[this.props.rowKey] &&
+      editingCell.columnKey === column.key;
+    let cell = null;
+    if (editing) {
+      cell = this.renderCellEditor({
+        ...cellProps,
+        value: editingCell.value,
+        pending: !!editingCell.pending,
+        error: editingCell.error,
+      });
+    } else {
+      const label =
+        summary && column.key === this._getSummaryLabelColumnKey()
+          ? group
+            ? this.renderGroupLabel({ group, rowData, rowIndex })
+            : this.renderTotalLabel({ total: summary, rowData, rowIndex })
+          : null;
+      const content =
+        !summary || column.aggregate
+          ? renderElement(cellRenderer || <TableCell className={this._prefixClass('row-cell-text')} />, cellProps)
+          : null;
+      // the label is rendered before the aggregate if they are in the same cell
+      cell =
+        label && content ? (
+          <React.Fragment>
+            {label}
+            {content}
+          </React.Fragment>
+        ) : (
+          label || content
+        );
+    }
+
+    const rangeBounds = this._getSelectedRangeBounds();
+    const selected =
+      !!rangeBounds &&
+      rowIndex >= rangeBounds.startRowIndex &&
+      rowIndex <= rangeBounds.endRowIndex &&
+      rangeBounds.columnKeys.indexOf(column.key) >= 0;
+    const fillBounds = this._getFillBounds();
+    const filling =
+      !!fillBounds &&
+      rowIndex >= fillBounds.startRowIndex &&
+      rowIndex <= fillBounds.endRowIndex &&
+      fillBounds.columnKeys.indexOf(column.key) >= 0;
+    const tabbableCell = this._getTabbableCellInfo();
+    const tabbable = !!tabbableCell && tabbableCell.rowIndex === rowIndex && tabbableCell.columnKey === column.key;
+    // the first cell is tabbable if there is no active cell yet
+    const active = tabbable && !!this.state.activeCell && this.state.activeCell.rowKey === rowData[this.props.rowKey];
+
+    const { foundCell } = this.state;
+    const found =
+      !!foundCell &&
+      rowIndex >= 0 &&
+      foundCell.rowKey === rowData[this.props.rowKey] &&
+      foundCell.columnKey === column.key;
 
     const cellCls = callOrReturn(className, { cellData, columns, column, columnIndex, rowData, rowIndex });
     const cls = cn(this._prefixClass('row-cell'), cellCls, {
       [this._prefixClass('row-cell--align-center')]: column.align === Alignment.CENTER,
       [this._prefixClass('row-cell--align-right')]: column.align === Alignment.RIGHT,
+      [this._prefixClass('row-cell--selected')]: selected,
+      [this._prefixClass('row-cell--filling')]: filling,
+      [this._prefixClass('row-cell--active')]: active,
+      [this._prefixClass('row-cell--editing')]: editing,
+      [this._prefixClass('row-cell--invalid')]: editing && !!editingCell.invalid,
+      [this._prefixClass('row-cell--pending')]: editing && !!editingCell.pending,
+      [this._prefixClass('row-cell--found')]: found,
     });
 
     const extraProps = callOrReturn(this.props.cellProps, { columns, column, columnIndex, rowData, rowIndex });
     const { tagName, ...rest } = extraProps || {};
     const Tag = tagName || 'div';
+    const { rangeSelectable, keyboardNavigable, fillable } = this.props;
+    // the fill handle is at the bottom right corner of the selected range
+    const hasFillHandle =
+      rangeSelectable &&
+      fillable &&
+      selected &&
+      rowIndex === rangeBounds.endRowIndex &&
+      column.key === rangeBounds.columnKeys[rangeBounds.columnKeys.length - 1];
+    const editable = rowIndex >= 0 && this._isCellEditable(column, rowData, rowIndex);
+    // cells are located by the data attributes for range selection, keyboard navigation and editing
+    const interactiveProps =
+      (rangeSelectable || keyboardNavigable || editable) && rowIndex >= 0
+        ? {
+            'data-row-index': rowIndex,
+            'data-key': column.key,
+            tabIndex: keyboardNavigable ? (tabbable ? 0 : -1) : undefined,
+            onMouseDown: rangeSelectable ? this._handleCellMouseDown : undefined,
+            onDoubleClick: editable ? this._handleCellDoubleClick : undefined,
+          }
+        : null;
     return (
       <Tag
         role="gridcell"
         key={`row-${rowData[this.props.rowKey]}-cell-${column.key}`}
+        {...interactiveProps}
         {...rest}
         className={cls}
         style={this.columnManager.getColumnStyle(column.key)}
       >
         {expandIcon}
         {cell}
+        {hasFillHandle && (
+          <div className={this._prefixClass('fill-handle')} onMouseDown={this._handleFillHandleMouseDown} />
+        )}
       </Tag>
     );
   }
 
+  renderGroupLabel({ group, rowData, rowIndex }) {
+    const { groupRenderer } = this.props;
+    if (groupRenderer) return renderElement(groupRenderer, { ...group, rowData, rowIndex, container: this });
+
+    return (
+      <div className={this._prefixClass('group-label')}>
+        {toString(group.value)}
+        <span className={this._prefixClass('group-count')}>({group.count})</span>
+      </div>
+    );
+  }
+
+  renderTotalLabel({ total, rowData, rowIndex }) {
+    const { totalRenderer } = this.props;
+    if (totalRenderer) return renderElement(totalRenderer, { ...total, rowData, rowIndex, container: this });
+
+    return <div className={this._prefixClass('group-label')}>Total</div>;
+  }
+
+  renderCellEditor({ value, pending, error, ...cellProps }) {
+    const { editor } = cellProps.column;
+    const CellEditor = this._getComponent('CellEditor');
+    const editorProps = {
+      ...cellProps,
+      value,
+      pending,
+      error,
+      onChange: this._handleEditorChange,
+      onCommit: this._handleEditorCommit,
+      onCancel: this._handleEditorCancel,
+    };
+
+    return (
+      <EditingCell
+        className={this._prefixClass('row-cell-editor')}
+        onCommit={this._commitEdit}
+        onCancel={this._handleEditorCancel}
+      >
+        {renderElement(editor || <CellEditor className={this._prefixClass('cell-editor')} />, editorProps)}
+      </EditingCell>
+    );
+  }
+
   renderHeader({ columns, headerIndex, style }) {
-    const { headerClassName, headerRenderer } = this.props;
+    const { headerClassName } = this.props;
+    // the filter row is the last header row, which is not customized by `headerRenderer`
+    const filtering = headerIndex === this._getFilterRowIndex();
+    const headerRenderer = filtering ? undefined : this.props.headerRenderer;
 
     const headerClass = callOrReturn(headerClassName, { columns, headerIndex });
     const extraProps = callOrReturn(this.props.headerProps, { columns, headerIndex });
@@ -432,6 +1133,7 @@ class BaseTable extends React.PureComponent {
     const className = cn(this._prefixClass('header-row'), headerClass, {
       [this._prefixClass('header-row--resizing')]: !!this.state.resizingKey,
       [this._prefixClass('header-row--customized')]: headerRenderer,
+      [this._prefixClass('header-row--filter')]: filtering,
     });
 
     const headerProps = {
@@ -443,8 +1145,8 @@ class BaseTable extends React.PureComponent {
       columns,
       headerIndex,
       headerRenderer,
-      cellRenderer: this.renderHeaderCell,
-      expandColumnKey: this.props.expandColumnKey,
+      cellRenderer: filtering ? this.renderFilterCell : this.renderHeaderCell,
+      expandColumnKey: filtering ? undefined : this.props.expandColumnKey,
       expandIcon: this._getComponent('ExpandIcon'),
     };
 
@@ -463,7 +1165,9 @@ class BaseTable extends React.PureComponent {
     }
 
     const { headerClassName, headerRenderer } = column;
-    const { sortBy, sortState, headerCellProps } = this.props;
+    const { headerCellProps } = this.props;
+    const sortBy = this.getSortBy();
+    const sortState = this.getSortState();
     const TableHeaderCell = this._getComponent('TableHeaderCell');
     const SortIndicator = this._getComponent('SortIndicator');
 
@@ -473,14 +1177,22 @@ class BaseTable extends React.PureComponent {
       cellProps
     );
 
-    let sorting, sortOrder;
+    let sorting, sortOrder, sortPriority;
 
-    if (sortState) {
+    if (Array.isArray(sortState)) {
+      const sorts = getSortDescriptors(null, sortState, this.columnManager.getOriginalColumns());
+      const index = sorts.findIndex(sort => sort.key === column.key);
+      sorting = index >= 0;
+      sortOrder = sorting ? sorts[index].order : SortOrder.ASC;
+      // the priority is only meaningful if sorted by multiple columns
+      sortPriority = sorting && sorts.length > 1 ? index + 1 : undefined;
+    } else if (sortState) {
       const order = sortState[column.key];
       sorting = order === SortOrder.ASC || order === SortOrder.DESC;
       sortOrder = sorting ? order : SortOrder.ASC;
     } else {
-      sorting = column.key === sortBy.key;
+      // the key could be the string from `onColumnSort` for the numeric `column.key`
+      sorting = sortBy.key !== undefined && String(column.key) === String(sortBy.key);
       sortOrder = sorting ? sortBy.order : SortOrder.ASC;
     }
 
@@ -511,6 +1223,7 @@ class BaseTable extends React.PureComponent {
           <SortIndicator
             sorting={sorting}
             sortOrder={sortOrder}
+            sortPriority={sortPriority}
             className={cn(this._prefixClass('sort-indicator'), {
               [this._prefixClass('sort-indicator--descending')]: sortOrder === SortOrder.DESC,
             })}
@@ -529,27 +1242,59 @@ class BaseTable extends React.PureComponent {
     );
   }
 
+  renderFilterCell({ columns, column, columnIndex, headerIndex }) {
+    if (column[ColumnManager.PlaceholderKey]) {
+      return this.renderHeaderCell({ columns, column, columnIndex, headerIndex });
+    }
+
+    const filter = getColumnFilter(column);
+    const value = this.getFilterState()[column.key];
+    const ColumnFilter = this._getComponent('ColumnFilter');
+    const filterElement =
+      filter && (filter.renderer || <ColumnFilter className={this._prefixClass('column-filter')} />);
+    const filterProps = {
+      columns,
+      column,
+      columnIndex,
+      filter,
+      value,
+      container: this,
+      onChange: nextValue => this._handleFilterChange(column.key, nextValue),
+    };
+
+    const cls = cn(this._prefixClass('header-cell'), this._prefixClass('filter-cell'), {
+      [this._prefixClass('header-cell--align-center')]: column.align === Alignment.CENTER,
+      [this._prefixClass('header-cell--align-right')]: column.align === Alignment.RIGHT,
+      [this._prefixClass('filter-cell--active')]: !!filter && isFilterActive(value),
+    });
+    return (
+      <div
+        role="gridcell"
+        key={`header-${headerIndex}-filter-${column.key}`}
+        className={cls}
+        style={this.columnManager.getColumnStyle(column.key)}
+        data-key={column.key}
+      >
+        {filterElement && renderElement(filterElement, filterProps)}
+      </div>
+    );
+  }
+
   renderMainTable() {
-    const { width, headerHeight, rowHeight, fixed, estimatedRowHeight, ...rest } = this.props;
+    const { width, headerHeight, filterRowHeight, rowHeight, fixed, estimatedRowHeight, ...rest } = this.props;
     const height = this._getTableHeight();
-
-    let tableWidth = width - this._verticalScrollbarSize;
-    if (fixed) {
-      const columnsWidth = this.columnManager.getColumnsWidth();
-      // make sure `scrollLeft` is always integer to fix a sync bug when scrolling to end horizontally
-      tableWidth = Math.max(Math.round(columnsWidth), tableWidth);
-    }
+    const tableWidth = this._getMainTableWidth();
     return (
       <GridTable
         {...rest}
-        {...this.state}
+        {...this._getTableState()}
         className={this._prefixClass('table-main')}
         ref={this._setMainTableRef}
         data={this._data}
         columns={this.columnManager.getMainColumns()}
         width={width}
         height={height}
-        headerHeight={headerHeight}
+        headerHeight={this._getHeaderHeights(headerHeight, filterRowHeight)}
         rowHeight={rowHeight}
         estimatedRowHeight={estimatedRowHeight}
         getRowHeight={estimatedRowHeight ? this._getRowHeight : undefined}
@@ -566,7 +1311,7 @@ class BaseTable extends React.PureComponent {
   renderLeftTable() {
     if (!this.columnManager.hasLeftFrozenColumns()) return null;
 
-    const { width, headerHeight, rowHeight, estimatedRowHeight, ...rest } = this.props;
+    const { width, headerHeight, filterRowHeight, rowHeight, estimatedRowHeight, ...rest } = this.props;
 
     const containerHeight = this._getFrozenContainerHeight();
     const offset = this._verticalScrollbarSize || 20;
@@ -574,7 +1319,7 @@ class BaseTable extends React.PureComponent {
     return (
       <GridTable
         {...rest}
-        {...this.state}
+        {...this._getTableState()}
         containerStyle={this._getLeftTableContainerStyle(columnsWidth, width, containerHeight)}
         className={this._prefixClass('table-frozen-left')}
         ref={this._setLeftTableRef}
@@ -583,7 +1328,7 @@ class BaseTable extends React.PureComponent {
         initialScrollTop={this._scroll.scrollTop}
         width={columnsWidth + offset}
         height={containerHeight}
-        headerHeight={headerHeight}
+        headerHeight={this._getHeaderHeights(headerHeight, filterRowHeight)}
         rowHeight={rowHeight}
         estimatedRowHeight={estimatedRowHeight}
         getRowHeight={estimatedRowHeight ? this._getRowHeight : undefined}
@@ -600,7 +1345,7 @@ class BaseTable extends React.PureComponent {
   renderRightTable() {
     if (!this.columnManager.hasRightFrozenColumns()) return null;
 
-    const { width, headerHeight, rowHeight, estimatedRowHeight, ...rest } = this.props;
+    const { width, headerHeight, filterRowHeight, rowHeight, estimatedRowHeight, ...rest } = this.props;
 
     const containerHeight = this._getFrozenContainerHeight();
     const columnsWidth = this.columnManager.getRightFrozenColumnsWidth();
@@ -608,7 +1353,7 @@ class BaseTable extends React.PureComponent {
     return (
       <GridTable
         {...rest}
-        {...this.state}
+        {...this._getTableState()}
         containerStyle={this._getLeftTableContainerStyle(columnsWidth + scrollbarWidth, width, containerHeight)}
         className={this._prefixClass('table-frozen-right')}
         ref={this._setRightTableRef}
@@ -617,7 +1362,7 @@ class BaseTable extends React.PureComponent {
         initialScrollTop={this._scroll.scrollTop}
         width={columnsWidth + scrollbarWidth}
         height={containerHeight}
-        headerHeight={headerHeight}
+        headerHeight={this._getHeaderHeights(headerHeight, filterRowHeight)}
         rowHeight={rowHeight}
         estimatedRowHeight={estimatedRowHeight}
         getRowHeight={estimatedRowHeight ? this._getRowHeight : undefined}
@@ -661,17 +1406,86 @@ class BaseTable extends React.PureComponent {
   }
 
   renderFooter() {
-    const { footerHeight, footerRenderer } = this.props;
+    const { footerHeight, footerRenderer, footerRow } = this.props;
     if (footerHeight === 0) return null;
     return (
       <div className={this._prefixClass('footer')} style={{ height: footerHeight }}>
-        {renderElement(footerRenderer)}
+        {footerRow ? this.renderFooterSections() : renderElement(footerRenderer)}
+      </div>
+    );
+  }
+
+  renderFooterSections() {
+    const { fixed, footerHeight } = this.props;
+    const scrollbarSize = this._verticalScrollbarSize;
+    const aggregates = this.getTotalAggregates();
+    const mainWidth = this._getMainTableWidth() + (fixed ? scrollbarSize : 0);
+    const leftWidth = this.columnManager.getLeftFrozenColumnsWidth();
+    const rightWidth = this.columnManager.getRightFrozenColumnsWidth() + scrollbarSize;
+
+    return (
+      <React.Fragment>
+        <div ref={this._setFooterRef} className={this._prefixClass('footer-main')}>
+          {this.renderFooterRow(this.columnManager.getMainColumns(), aggregates, mainWidth, footerHeight)}
+        </div>
+        {this.columnManager.hasLeftFrozenColumns() && (
+          <div className={this._prefixClass('footer-frozen-left')} style={{ width: leftWidth }}>
+            {this.renderFooterRow(this.columnManager.getLeftFrozenColumns(), aggregates, leftWidth, footerHeight)}
+          </div>
+        )}
+        {this.columnManager.hasRightFrozenColumns() && (
+          <div className={this._prefixClass('footer-frozen-right')} style={{ width: rightWidth }}>
+            {this.renderFooterRow(this.columnManager.getRightFrozenColumns(), aggregates, rightWidth, footerHeight)}
+          </div>
+        )}
+      </React.Fragment>
+    );
+  }
+
+  renderFooterRow(columns, aggregates, width, height) {
+    return (
+      <div role="row" className={this._prefixClass('footer-row')} style={{ width, height }}>
+        {columns.map((column, columnIndex) => this.renderFooterCell({ columns, column, columnIndex, aggregates }))}
+      </div>
+    );
+  }
+
+  renderFooterCell({ columns, column, columnIndex, aggregates }) {
+    const style = this.columnManager.getColumnStyle(column.key);
+    if (column[ColumnManager.PlaceholderKey]) {
+      return (
+        <div
+          key={`footer-cell-${column.key}-placeholder`}
+          className={this._prefixClass('footer-cell-placeholder')}
+          style={style}
+        />
+      );
+    }
+
+    const { footerRenderer, aggregate } = column;
+    const TableCell = this._getComponent('TableCell');
+    const cellProps = { cellData: aggregates[column.key], aggregates, columns, column, columnIndex, container: this };
+    let cell = null;
+    if (footerRenderer) {
+      cell = renderElement(footerRenderer, cellProps);
+    } else if (aggregate) {
+      cell = <TableCell {...cellProps} className={this._prefixClass('footer-cell-text')} />;
+    }
+
+    const cls = cn(this._prefixClass('footer-cell'), {
+      [this._prefixClass('footer-cell--align-center')]: column.align === Alignment.CENTER,
+      [this._prefixClass('footer-cell--align-right')]: column.align === Alignment.RIGHT,
+    });
+    return (
+      <div role="gridcell" key={`footer-cell-${column.key}`} className={cls} style={style} data-key={column.key}>
+        {cell}
       </div>
     );
   }
 
   renderEmptyLayer() {
-    const { data, frozenData, footerHeight, emptyRenderer } = this.props;
+    const { frozenData, footerHeight, emptyRenderer } = this.props;
+    const data = this._getFilteredData();
 
     if ((data && data.length) || (frozenData && frozenData.length)) return null;
     const headerHeight = this._getHeaderHeight();
@@ -694,7 +1508,6 @@ class BaseTable extends React.PureComponent {
       children,
       width,
       fixed,
-      data,
       frozenData,
       expandColumnKey,
       disabled,
@@ -703,10 +1516,26 @@ class BaseTable extends React.PureComponent {
       footerHeight,
       classPrefix,
       estimatedRowHeight,
+      keyboardNavigable,
+      copyable,
+      pastable,
+      groupBy,
+      totalRow,
     } = this.props;
     this._resetColumnManager(getColumns(columns, children), fixed);
 
-    const _data = expandColumnKey ? this._flattenOnKeys(data, this.getExpandedRowKeys(), this.props.rowKey) : data;
+    const filteredData = this._getFilteredData();
+    const groupedData = this._getGroupedData();
+    let _data = groupedData;
+    if (expandColumnKey) {
+      _data = this._flattenOnKeys(groupedData, this._getRenderedExpandedRowKeys(), this.props.rowKey);
+    } else if (groupBy && groupBy.length) {
+      _data = this._flattenGroups(groupedData, this.props.rowKey);
+    }
+    if (totalRow) {
+      const columns = this.columnManager.getOriginalColumns();
+      _data = this._appendTotalRow(_data, this._getTotalRow(filteredData, columns, this.props.rowKey));
+    }
     if (this._data !== _data) {
       this.resetAfterRowIndex(0, false);
       this._data = _data;
@@ -724,7 +1553,7 @@ class BaseTable extends React.PureComponent {
     const cls = cn(classPrefix, className, {
       [`${classPrefix}--fixed`]: fixed,
       [`${classPrefix}--expandable`]: !!expandColumnKey,
-      [`${classPrefix}--empty`]: data.length === 0,
+      [`${classPrefix}--empty`]: filteredData.length === 0,
       [`${classPrefix}--has-frozen-rows`]: frozenData.length > 0,
       [`${classPrefix}--has-frozen-columns`]: this.columnManager.hasFrozenColumns(),
       [`${classPrefix}--disabled`]: disabled,
@@ -743,7 +1572,19 @@ class BaseTable extends React.PureComponent {
     // }
 
     return (
-      <div ref={this._setContainerRef} className={cls} style={containerStyle}>
+      <div
+        ref={this._setContainerRef}
+        className={cls}
+        style={containerStyle}
+        // make the table focusable to receive the clipboard events and the keys to undo the edits
+        tabIndex={copyable || pastable || this.columnManager.hasEditableColumns() ? -1 : undefined}
+        onKeyDown={
+          keyboardNavigable || pastable || this.columnManager.hasEditableColumns() ? this._handleKeyDown : undefined
+        }
+        onFocus={keyboardNavigable ? this._handleCellFocus : undefined}
+        onCopy={copyable ? this._handleCopy : undefined}
+        onPaste={pastable ? this._handlePaste : undefined}
+      >
         {this.renderFooter()}
         {this.renderMainTable()}
         {this.renderLeftTable()}
@@ -760,6 +1601,7 @@ class BaseTable extends React.PureComponent {
     if (scrollbarSize > 0) {
       this.setState({ scrollbarSize });
     }
+    this._maybeCallOnFilterExpressionError();
   }
 
   componentDidUpdate(prevProps, prevState) {
@@ -773,6 +1615,7 @@ class BaseTable extends React.PureComponent {
       this._maybeCallOnEndReached();
     }
     this._maybeScrollbarPresenceChange();
+    this._maybeCallOnFilterExpressionError();
 
     if (estimatedRowHeight) {
       if (this.getTotalRowsHeight() !== this._totalRowsHeight) {
@@ -781,10 +1624,28 @@ class BaseTable extends React.PureComponent {
     }
   }
 
+  componentWillUnmount() {
+    this._stopSelectingRange();
+  }
+
   _prefixClass(className) {
     return `${this.props.classPrefix}__${className}`;
   }
 
+  // the controlled props take the place of their internal state, so that the pure tables are updated by them
+  _getTableState() {
+    return {
+      ...this.state,
+      expandedRowKeys: this.getExpandedRowKeys(),
+      selectedRowKeys: this.getSelectedRowKeys(),
+      excludedRowKeys: this.getExcludedRowKeys(),
+      selectedRange: this.getSelectedRange(),
+      sortBy: this.getSortBy(),
+      sortState: this.getSortState(),
+      filterState: this.getFilterState(),
+    };
+  }
+
   _setContainerRef(ref) {
     this.tableNode = ref;
   }
@@ -801,6 +1662,15 @@ class BaseTable extends React.PureComponent {
     this.rightTable = ref;
   }
 
+  _setFooterRef(ref) {
+    this.footerRef = ref;
+    this._syncFooterScrollLeft();
+  }
+
+  _syncFooterScrollLeft() {
+    if (this.footerRef) this.footerRef.scrollLeft = this._scroll.scrollLeft;
+  }
+
   _getComponent(name) {
     if (this.props.components && this.props.components[name]) return this.props.components[name];
     return DEFAULT_COMPONENTS[name];
@@ -819,19 +1689,304 @@ class BaseTable extends React.PureComponent {
     return this._isResetting;
   }
 
-  _getHeaderHeight() {
-    const { headerHeight } = this.props;
-    if (Array.isArray(headerHeight)) {
-      return headerHeight.reduce((sum, height) => sum + height, 0);
-    }
-    return headerHeight;
+  _getSelectedRangeBounds() {
+    return this._getCellRangeBounds(
+      this.getSelectedRange(),
+      this._data,
+      this.columnManager.getOrderedColumns(),
+      this.props.rowKey
+    );
   }
 
-  _getFrozenRowsHeight() {
-    const { frozenData, rowHeight } = this.props;
+  _getFillBounds() {
+    return this._getFillRangeBounds(
+      this.state.fillRange,
+      this._data,
+      this.columnManager.getOrderedColumns(),
+      this.props.rowKey
+    );
+  }
+
+  _getTabbableCellInfo() {
+    if (!this.props.keyboardNavigable) return null;
+    return this._getTabbableCell(
+      this.state.activeCell,
+      this._data,
+      this.columnManager.getOrderedColumns(),
+      this.props.rowKey
+    );
+  }
+
+  _getCellNode(rowIndex, columnKey) {
+    if (!this.tableNode) return null;
+    const nodes = this.tableNode.querySelectorAll(`[data-row-index="${rowIndex}"]`);
+    for (let i = 0; i < nodes.length; i++) {
+      if (nodes[i].dataset.key === String(columnKey)) return nodes[i];
+    }
+    return null;
+  }
+
+  _focusActiveCell() {
+    const tabbableCell = this._getTabbableCellInfo();
+    if (!tabbableCell) return;
+
+    const cellNode = this._getCellNode(tabbableCell.rowIndex, tabbableCell.columnKey);
+    // the scroll position is managed by the table
+    cellNode && cellNode.focus({ preventScroll: true });
+  }
+
+  // keep the focus in the table after editing, so it receives Ctrl/Cmd+Z to undo
+  _focusContainer() {
+    this.tableNode && this.tableNode.focus({ preventScroll: true });
+  }
+
+  _activateCell(rowIndex, columnKey) {
+    this.scrollToRow(rowIndex);
+    this.scrollToColumn(columnKey);
+    this._handleActiveCellChange({ rowKey: this._data[rowIndex][this.props.rowKey], columnKey }, true);
+  }
+
+  // get the selected cell range, or the selected rows if there is no selected range
+  _getSelectedCells() {
+    const columns = this.columnManager.getOrderedColumns();
+    const rangeBounds = this._getSelectedRangeBounds();
+    if (rangeBounds) {
+      return {
+        rowIndexes: this._getRowIndexesInRange(rangeBounds.startRowIndex, rangeBounds.endRowIndex),
+        columns: columns.filter(column => rangeBounds.columnKeys.indexOf(column.key) >= 0),
+      };
+    }
+
+    if (!this.getSelectedRowKeys().length && !this.getExcludedRowKeys()) return null;
+
+    const { rowKey } = this.props;
+    const rowIndexes = [];
+    this._data.forEach((rowData, rowIndex) => {
+      if (this.getRowSelectionState(rowData[rowKey]).checked) rowIndexes.push(rowIndex);
+    });
+    return rowIndexes.length ? { rowIndexes, columns } : null;
+  }
+
+  _getRowIndexesInRange(startIndex, endIndex) {
+    const rowIndexes = [];
+    for (let i = startIndex; i <= endIndex; i++) rowIndexes.push(i);
+    return rowIndexes;
+  }
+
+  _getCopyValue(column, columns, rowIndex) {
+    const rowData = this._data[rowIndex];
+    if (isSummaryRow(rowData)) return '';
+    const columnIndex = columns.indexOf(column);
+    const cellData = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+    if (column.copyFormatter) {
+      return toString(column.copyFormatter({ cellData, columns, column, columnIndex, rowData, rowIndex }));
+    }
+    return React.isValidElement(cellData) ? '' : toString(cellData);
+  }
+
+  _isCellEditable(column, rowData, rowIndex) {
+    if (isSummaryRow(rowData)) return false;
+    return !!callOrReturn(column.editable, { column, rowData, rowIndex });
+  }
+
+  // the paste starts from the focused cell, or the top-left cell of the selected range, or the active cell
+  _getPasteStartCell(target) {
+    const columns = this.columnManager.getOrderedColumns();
+    const cellNode = target.closest ? target.closest('[role="gridcell"]') : null;
+    if (cellNode && cellNode.dataset.rowIndex !== undefined) {
+      return {
+        rowIndex: Number(cellNode.dataset.rowIndex),
+        columnIndex: columns.findIndex(column => String(column.key) === cellNode.dataset.key),
+      };
+    }
+
+    const rangeBounds = this._getSelectedRangeBounds();
+    if (rangeBounds) {
+      return {
+        rowIndex: rangeBounds.startRowIndex,
+        columnIndex: columns.findIndex(column => column.key === rangeBounds.columnKeys[0]),
+      };
+    }
+
+    const { activeCell } = this.state;
+    if (activeCell) {
+      const { rowKey } = this.props;
+      return {
+        rowIndex: this._data.findIndex(rowData => rowData[rowKey] === activeCell.rowKey),
+        columnIndex: columns.findIndex(column => column.key === activeCell.columnKey),
+      };
+    }
+    return null;
+  }
+
+  _getMainBodyNode() {
+    if (!this.tableNode) return null;
+    return this.tableNode.querySelector(`.${this._prefixClass('table-main')} .${this._prefixClass('body')}`);
+  }
+
+  _getHeaderHeight() {
+    const headerHeight = this._getHeaderHeights(this.props.headerHeight, this.props.filterRowHeight);
+    if (Array.isArray(headerHeight)) {
+      return headerHeight.reduce((sum, height) => sum + height, 0);
+    }
+    return headerHeight;
+  }
+
+  _getFilterRowIndex() {
+    const { headerHeight, filterRowHeight } = this.props;
+    return filterRowHeight > 0 ? [].concat(headerHeight).length : -1;
+  }
+
+  _getFilterResult() {
+    const { data, clientFilter, searchText, filterExpression, rowKey, expandColumnKey } = this.props;
+    return this._filterData(
+      data,
+      clientFilter ? this.getFilterState() : null,
+      searchText,
+      filterExpression,
+      this.columnManager.getOriginalColumns(),
+      rowKey,
+      !!expandColumnKey
+    );
+  }
+
+  _getDataPredicate(filterState, searchText, filterExpression, columns) {
+    const predicates = [
+      getFilterPredicate(filterState, columns),
+      getSearchPredicate(searchText, columns),
+      this._compileFilterExpression(filterExpression, columns).predicate,
+    ].filter(Boolean);
+    if (!predicates.length) return null;
+    return (rowData, rowIndex) => predicates.every(predicate => predicate(rowData, rowIndex));
+  }
+
+  _getFilteredData() {
+    return this._getFilterResult().data;
+  }
+
+  _getSortedData() {
+    const { clientSort, expandColumnKey } = this.props;
+    const filteredData = this._getFilteredData();
+    if (!clientSort) return filteredData;
+    return this._sortData(
+      filteredData,
+      this.getSortBy(),
+      this.getSortState(),
+      this.columnManager.getOriginalColumns(),
+      !!expandColumnKey
+    );
+  }
+
+  // the groups are made of the sorted data, so the rows are sorted in each group
+  _getGroupedData() {
+    const { groupBy, rowKey } = this.props;
+    const sortedData = this._getSortedData();
+    if (!groupBy || !groupBy.length) return sortedData;
+    return this._groupData(sortedData, groupBy, this.columnManager.getOriginalColumns(), rowKey);
+  }
+
+  // the label of the summary rows is in the cell of the expand column, or falls back to the first column
+  // without an aggregate, or the first column if all of them have the aggregates
+  _getSummaryLabelColumnKey() {
+    const { expandColumnKey } = this.props;
+    if (expandColumnKey) return expandColumnKey;
+    const columns = this.columnManager.getOrderedColumns();
+    const labelColumn = columns.find(column => !column.aggregate) || columns[0];
+    return labelColumn && labelColumn.key;
+  }
+
+  // the ancestors of the found cell are expanded, then it's scrolled into view
+  _goToFoundCell(index) {
+    const { rowKey: dataKey, expandColumnKey } = this.props;
+    const data = this._getGroupedData();
+    const findState = this._findState;
+    // the matches are refreshed if the data changed, the current match is kept if it's still there
+    if (findState.data !== data) {
+      const columns = this.columnManager.getOrderedColumns();
+      const matches = findCells(data, findState.query, columns, dataKey, !!expandColumnKey);
+      const current = findState.matches[findState.index];
+      const currentIndex = current
+        ? matches.findIndex(match => match.rowKey === current.rowKey && match.columnKey === current.columnKey)
+        : -1;
+      const offset = index - findState.index;
+      index = currentIndex >= 0 ? currentIndex + offset : offset > 0 ? 0 : -1;
+      this._findState = { ...findState, data, matches };
+    }
+
+    const { matches } = this._findState;
+    if (!matches.length) {
+      this._findState.index = -1;
+      if (this.state.foundCell) this.setState({ foundCell: null });
+      return null;
+    }
+
+    const matchIndex = ((index % matches.length) + matches.length) % matches.length;
+    const { rowKey, columnKey, ancestorKeys } = matches[matchIndex];
+    this._findState.index = matchIndex;
+
+    const renderedExpandedRowKeys = this._getRenderedExpandedRowKeys();
+    const collapsedAncestorKeys = ancestorKeys.filter(key => renderedExpandedRowKeys.indexOf(key) < 0);
+    const nextState = { foundCell: { rowKey, columnKey } };
+    if (collapsedAncestorKeys.length) {
+      const filterExpandedRowKeys = this._getFilterResult().expandedRowKeys || EMPTY_ARRAY;
+      // the ancestors collapsed temporarily while filtering are expanded temporarily too
+      const expandingRowKeys = collapsedAncestorKeys.filter(key => filterExpandedRowKeys.indexOf(key) < 0);
+      const filterCollapsedRowKeys = this._getFilterCollapsedRowKeys(filterExpandedRowKeys);
+      if (expandingRowKeys.length < collapsedAncestorKeys.length) {
+        nextState.filterCollapse = {
+          expandedRowKeys: filterExpandedRowKeys,
+          rowKeys: filterCollapsedRowKeys.filter(key => collapsedAncestorKeys.indexOf(key) < 0),
+        };
+      }
+      if (expandingRowKeys.length) {
+        const expandedRowKeys = this.getExpandedRowKeys().concat(expandingRowKeys);
+        if (this.props.expandedRowKeys === undefined) nextState.expandedRowKeys = expandedRowKeys;
+        this.props.onExpandedRowsChange(expandedRowKeys);
+      }
+    }
+
+    this.setState(nextState, () => {
+      const rowIndex = this._data.findIndex(rowData => rowData[dataKey] === rowKey);
+      if (rowIndex < 0) return;
+      this.scrollToRow(rowIndex);
+      this.scrollToColumn(columnKey);
+    });
+    return { rowKey, columnKey, index: matchIndex, count: matches.length };
+  }
+
+  _getFilterCollapsedRowKeys(filterExpandedRowKeys) {
+    const { filterCollapse } = this.state;
+    // the collapsed rows are reset once the filter result changed
+    return filterCollapse && filterCollapse.expandedRowKeys === filterExpandedRowKeys
+      ? filterCollapse.rowKeys
+      : EMPTY_ARRAY;
+  }
+
+  // the expanded row keys to render, including the ones expanded temporarily while filtering the tree data
+  _getRenderedExpandedRowKeys() {
+    const expandedRowKeys = this.getExpandedRowKeys();
+    const filterExpandedRowKeys = this._getFilterResult().expandedRowKeys;
+    if (!filterExpandedRowKeys) return expandedRowKeys;
+
+    const collapsedRowKeys = this._getFilterCollapsedRowKeys(filterExpandedRowKeys);
+    return this._mergeExpandedRowKeys(expandedRowKeys, filterExpandedRowKeys, collapsedRowKeys);
+  }
+
+  _getFrozenRowsHeight() {
+    const { frozenData, rowHeight } = this.props;
     return frozenData.length * rowHeight;
   }
 
+  _getMainTableWidth() {
+    const { width, fixed } = this.props;
+    const tableWidth = width - this._verticalScrollbarSize;
+    if (!fixed) return tableWidth;
+
+    const columnsWidth = this.columnManager.getColumnsWidth();
+    // make sure `scrollLeft` is always integer to fix a sync bug when scrolling to end horizontally
+    return Math.max(Math.round(columnsWidth), tableWidth);
+  }
+
   _getTableHeight() {
     const { height, maxHeight, footerHeight } = this.props;
     let tableHeight = height - footerHeight;
@@ -917,6 +2072,17 @@ class BaseTable extends React.PureComponent {
     }
   }
 
+  // the same error of the same expression is passed only once, even if the columns are recreated
+  _maybeCallOnFilterExpressionError() {
+    const { filterExpression, onFilterExpressionError } = this.props;
+    const { error } = this._compileFilterExpression(filterExpression, this.columnManager.getOriginalColumns());
+    const lastError = this._lastFilterExpressionError;
+    this._lastFilterExpressionError = error ? { filterExpression, message: error.message } : null;
+    if (!error || (lastError && isObjectEqual(lastError, this._lastFilterExpressionError))) return;
+
+    onFilterExpressionError({ filterExpression, error });
+  }
+
   _maybeCallOnEndReached() {
     const { onEndReached, onEndReachedThreshold } = this.props;
     const { scrollTop } = this._scroll;
@@ -953,6 +2119,7 @@ class BaseTable extends React.PureComponent {
 
   _handleRowsRendered(args) {
     this.props.onRowsRendered(args);
+    this._visibleRowCount = args.stopIndex - args.startIndex + 1;
 
     if (args.overscanStopIndex > this._lastScannedRowIndex) {
       this._lastScannedRowIndex = args.overscanStopIndex;
@@ -965,6 +2132,20 @@ class BaseTable extends React.PureComponent {
   }
 
   _handleRowExpand({ expanded, rowData, rowIndex, rowKey }) {
+    const filterExpandedRowKeys = this._getFilterResult().expandedRowKeys;
+    // the ancestors of the matching rows are expanded or collapsed temporarily, `expandedRowKeys` is kept as is
+    if (filterExpandedRowKeys && filterExpandedRowKeys.indexOf(rowKey) >= 0) {
+      const collapsedRowKeys = this._getFilterCollapsedRowKeys(filterExpandedRowKeys);
+      this.setState({
+        filterCollapse: {
+          expandedRowKeys: filterExpandedRowKeys,
+          rowKeys: expanded ? collapsedRowKeys.filter(key => key !== rowKey) : collapsedRowKeys.concat(rowKey),
+        },
+      });
+      this.props.onRowExpand({ expanded, rowData, rowIndex, rowKey });
+      return;
+    }
+
     const expandedRowKeys = cloneArray(this.getExpandedRowKeys());
     if (expanded) {
       if (!expandedRowKeys.indexOf(rowKey) >= 0) expandedRowKeys.push(rowKey);
@@ -982,6 +2163,668 @@ class BaseTable extends React.PureComponent {
     this.props.onExpandedRowsChange(expandedRowKeys);
   }
 
+  _handleRowSelect({ rowIndex, rowKey, event }) {
+    // frozen rows and summary rows are not selectable
+    if (rowIndex < 0 || isSummaryRow(this._data[rowIndex])) return;
+
+    const { selectionMode } = this.props;
+    // in tree mode, click toggles the row with all its descendants
+    if (selectionMode === SelectionMode.TREE) {
+      this.selectRow(rowKey, !this.getRowSelectionState(rowKey).checked);
+      return;
+    }
+
+    const selectedRowKeys = this.getSelectedRowKeys();
+    const toggle = event.ctrlKey || event.metaKey;
+    let nextSelectedRowKeys;
+
+    // while all the matching rows are selected, Ctrl/Cmd-click excludes or includes the row,
+    // other clicks select the rows as usual
+    if (toggle && this.getExcludedRowKeys()) {
+      this.selectRow(rowKey, !this.getRowSelectionState(rowKey).checked);
+      this._selectionAnchorKey = rowKey;
+      return;
+    }
+
+    if (selectionMode === SelectionMode.MULTIPLE && event.shiftKey && this._selectionAnchorKey !== null) {
+      const anchorIndex = this._data.findIndex(rowData => rowData[this.props.rowKey] === this._selectionAnchorKey);
+      // the anchor row could be invisible if it's collapsed
+      if (anchorIndex >= 0) {
+        const rangeKeys = getRowKeysInRange(this._data, anchorIndex, rowIndex, this.props.rowKey);
+        nextSelectedRowKeys = toggle
+          ? selectedRowKeys.concat(rangeKeys.filter(key => selectedRowKeys.indexOf(key) < 0))
+          : rangeKeys;
+      }
+    }
+
+    if (!nextSelectedRowKeys) {
+      if (!toggle) {
+        nextSelectedRowKeys = [rowKey];
+      } else if (selectedRowKeys.indexOf(rowKey) >= 0) {
+        nextSelectedRowKeys = selectedRowKeys.filter(key => key !== rowKey);
+      } else {
+        nextSelectedRowKeys = selectionMode === SelectionMode.MULTIPLE ? selectedRowKeys.concat(rowKey) : [rowKey];
+      }
+      this._selectionAnchorKey = rowKey;
+    }
+
+    if (isArrayEqual(nextSelectedRowKeys, selectedRowKeys)) return;
+    this._handleSelectionChange(nextSelectedRowKeys);
+  }
+
+  _handleCellMouseDown(event) {
+    // only the main button starts the range selection
+    if (event.button !== 0) return;
+
+    const { rowIndex, key } = event.currentTarget.dataset;
+    const rowData = this._data[Number(rowIndex)];
+    if (!rowData) return;
+
+    const rowKey = rowData[this.props.rowKey];
+    const selectedRange = this.getSelectedRange();
+    // Shift-click extends the current range
+    const extending = event.shiftKey && !!selectedRange;
+    this._handleSelectedRangeChange({
+      startRowKey: extending ? selectedRange.startRowKey : rowKey,
+      endRowKey: rowKey,
+      startColumnKey: extending ? selectedRange.startColumnKey : key,
+      endColumnKey: key,
+    });
+    this._startSelectingRange(event);
+  }
+
+  _handleFillHandleMouseDown(event) {
+    if (event.button !== 0) return;
+    // the handle is inside the cell, don't start a new range
+    event.stopPropagation();
+    event.preventDefault();
+
+    this._isFilling = true;
+    this._startSelectingRange(event);
+  }
+
+  _startSelectingRange(event) {
+    const { ownerDocument } = this.tableNode;
+    this._isSelectingRange = true;
+    this._rangePointer = { x: event.clientX, y: event.clientY };
+    ownerDocument.addEventListener('mousemove', this._handleRangeMouseMove);
+    ownerDocument.addEventListener('mouseup', this._handleRangeMouseUp);
+    addUserSelectStyles(ownerDocument);
+  }
+
+  _handleRangeMouseMove(event) {
+    this._rangePointer = { x: event.clientX, y: event.clientY };
+    this._updateSelectedRangeEnd();
+
+    if (!this._autoScrollFrame) {
+      this._autoScrollFrame = requestAnimationFrame(this._handleAutoScroll);
+    }
+  }
+
+  _handleRangeMouseUp() {
+    if (this._isFilling) {
+      this._applyFill();
+      this.setState({ fillRange: null });
+    }
+    this._stopSelectingRange();
+  }
+
+  _stopSelectingRange() {
+    if (!this._isSelectingRange) return;
+
+    const { ownerDocument } = this.tableNode;
+    this._isSelectingRange = false;
+    this._isFilling = false;
+    this._rangePointer = null;
+    ownerDocument.removeEventListener('mousemove', this._handleRangeMouseMove);
+    ownerDocument.removeEventListener('mouseup', this._handleRangeMouseUp);
+    removeUserSelectStyles(ownerDocument);
+
+    if (this._autoScrollFrame) {
+      cancelAnimationFrame(this._autoScrollFrame);
+      this._autoScrollFrame = null;
+    }
+  }
+
+  // find the cell under the pointer, the pointer is clamped into the body so that we could still
+  // find a cell on the edge if the pointer is out of the table
+  _updateSelectedRangeEnd() {
+    const selectedRange = this.getSelectedRange();
+    const bodyNode = this._getMainBodyNode();
+    if (!selectedRange || !bodyNode || !this._rangePointer) return;
+
+    const rect = bodyNode.getBoundingClientRect();
+    const x = Math.min(Math.max(this._rangePointer.x, rect.left + 1), rect.right - this._verticalScrollbarSize - 1);
+    const y = Math.min(Math.max(this._rangePointer.y, rect.top + 1), rect.bottom - this._horizontalScrollbarSize - 1);
+    const element = bodyNode.ownerDocument.elementFromPoint(x, y);
+    const cellNode = element && element.closest(`.${this._prefixClass('row-cell')}[data-row-index]`);
+    if (!cellNode || !this.tableNode.contains(cellNode)) return;
+
+    const { rowIndex, key } = cellNode.dataset;
+    const rowData = this._data[Number(rowIndex)];
+    if (!rowData) return;
+
+    if (this._isFilling) {
+      this._updateFillRange(Number(rowIndex), key);
+      return;
+    }
+    this._handleSelectedRangeChange({ ...selectedRange, endRowKey: rowData[this.props.rowKey], endColumnKey: key });
+  }
+
+  // the fill range extends the selected range to the pointer, vertically or horizontally whichever is farther
+  _updateFillRange(rowIndex, columnKey) {
+    const rangeBounds = this._getSelectedRangeBounds();
+    if (!rangeBounds) return;
+
+    const { rowKey } = this.props;
+    const columns = this.columnManager.getOrderedColumns();
+    const { startRowIndex, endRowIndex, columnKeys } = rangeBounds;
+    const startColumnIndex = columns.findIndex(column => column.key === columnKeys[0]);
+    const endColumnIndex = startColumnIndex + columnKeys.length - 1;
+    const columnIndex = columns.findIndex(column => String(column.key) === columnKey);
+    const getDistance = (index, start, end) => (index < start ? index - start : index > end ? index - end : 0);
+    const rowDistance = getDistance(rowIndex, startRowIndex, endRowIndex);
+    const columnDistance = getDistance(columnIndex, startColumnIndex, endColumnIndex);
+
+    let fillRange = null;
+    if (rowDistance && Math.abs(rowDistance) >= Math.abs(columnDistance)) {
+      fillRange = {
+        startRowKey: this._data[rowDistance > 0 ? endRowIndex + 1 : startRowIndex - 1][rowKey],
+        endRowKey: this._data[rowIndex][rowKey],
+        startColumnKey: columnKeys[0],
+        endColumnKey: columnKeys[columnKeys.length - 1],
+      };
+    } else if (columnDistance) {
+      fillRange = {
+        startRowKey: this._data[startRowIndex][rowKey],
+        endRowKey: this._data[endRowIndex][rowKey],
+        startColumnKey: columns[columnDistance > 0 ? endColumnIndex + 1 : startColumnIndex - 1].key,
+        endColumnKey: columns[columnIndex].key,
+      };
+    }
+    if (!isObjectEqual(fillRange, this.state.fillRange)) {
+      this.setState({ fillRange });
+    }
+  }
+
+  // fill the cells in the fill range with the values continued from the selected range
+  _applyFill() {
+    const rangeBounds = this._getSelectedRangeBounds();
+    const fillBounds = this._getFillBounds();
+    if (!rangeBounds || !fillBounds) return;
+
+    const { rowKey } = this.props;
+    const columns = this.columnManager.getOrderedColumns();
+    const vertical =
+      fillBounds.startRowIndex > rangeBounds.endRowIndex || fillBounds.endRowIndex < rangeBounds.startRowIndex;
+    // the values are continued in the filling direction, so the rows are reversed for up and the columns for left
+    const backward = vertical
+      ? fillBounds.endRowIndex < rangeBounds.startRowIndex
+      : columns.findIndex(column => column.key === fillBounds.columnKeys[0]) <
+        columns.findIndex(column => column.key === rangeBounds.columnKeys[0]);
+    const orderRows = array => (backward && vertical ? array.reverse() : array);
+    const orderColumns = array => (backward && !vertical ? array.reverse() : array);
+    const sourceRowIndexes = orderRows(this._getRowIndexesInRange(rangeBounds.startRowIndex, rangeBounds.endRowIndex));
+    const targetRowIndexes = orderRows(this._getRowIndexesInRange(fillBounds.startRowIndex, fillBounds.endRowIndex));
+    const sourceColumns = orderColumns(columns.filter(column => rangeBounds.columnKeys.indexOf(column.key) >= 0));
+    const targetColumns = orderColumns(columns.filter(column => fillBounds.columnKeys.indexOf(column.key) >= 0));
+    const getCell = (rowIndex, column) => {
+      const rowData = this._data[rowIndex];
+      const columnIndex = columns.indexOf(column);
+      // the summary rows have no cell data to fill
+      if (isSummaryRow(rowData)) return { rowData, rowIndex, column, value: undefined };
+      return { rowData, rowIndex, column, value: getCellData({ columns, column, columnIndex, rowData, rowIndex }) };
+    };
+    // each line is a column for the vertical filling, or a row for the horizontal filling
+    const lines = vertical
+      ? sourceColumns.map(column => ({
+          sources: sourceRowIndexes.map(rowIndex => getCell(rowIndex, column)),
+          targets: targetRowIndexes.map(rowIndex => getCell(rowIndex, column)),
+        }))
+      : sourceRowIndexes.map(rowIndex => ({
+          sources: sourceColumns.map(column => getCell(rowIndex, column)),
+          targets: targetColumns.map(column => getCell(rowIndex, column)),
+        }));
+
+    const changes = [];
+    const rejected = [];
+    lines.forEach(({ sources, targets }) => {
+      const sourceValues = sources.map(cell => cell.value);
+      const values = getFillValues(sourceValues, targets.length);
+      targets.forEach(({ rowData, rowIndex, column, value: oldValue }, index) => {
+        const change = { rowKey: rowData[rowKey], columnKey: column.key };
+        if (this._isCellEditable(column, rowData, rowIndex)) {
+          changes.push({ ...change, oldValue, newValue: values[index] });
+        } else {
+          rejected.push({ ...change, value: values[index], reason: 'readonly' });
+        }
+      });
+    });
+
+    // the selected range grows to cover the filled cells
+    const bounds = {
+      startRowIndex: Math.min(rangeBounds.startRowIndex, fillBounds.startRowIndex),
+      endRowIndex: Math.max(rangeBounds.endRowIndex, fillBounds.endRowIndex),
+      startColumnKey: backward && !vertical ? fillBounds.columnKeys[0] : rangeBounds.columnKeys[0],
+      endColumnKey:
+        !backward && !vertical
+          ? fillBounds.columnKeys[fillBounds.columnKeys.length - 1]
+          : rangeBounds.columnKeys[rangeBounds.columnKeys.length - 1],
+    };
+    this._handleSelectedRangeChange({
+      startRowKey: this._data[bounds.startRowIndex][rowKey],
+      endRowKey: this._data[bounds.endRowIndex][rowKey],
+      startColumnKey: bounds.startColumnKey,
+      endColumnKey: bounds.endColumnKey,
+    });
+
+    this._editHistory.push({ source: 'fill', changes });
+    this.props.onCellsChange(changes, { source: 'fill', rejected });
+  }
+
+  _handleAutoScroll() {
+    this._autoScrollFrame = null;
+    const bodyNode = this._getMainBodyNode();
+    if (!this._isSelectingRange || !bodyNode || !this._rangePointer) return;
+
+    const { x, y } = this._rangePointer;
+    const rect = bodyNode.getBoundingClientRect();
+    const getDelta = (value, min, max) => {
+      const delta = value < min ? value - min : value > max ? value - max : 0;
+      return Math.max(Math.min(delta, AUTO_SCROLL_MAX_STEP), -AUTO_SCROLL_MAX_STEP);
+    };
+    const deltaX = this.props.fixed ? getDelta(x, rect.left, rect.right - this._verticalScrollbarSize) : 0;
+    const deltaY = getDelta(y, rect.top, rect.bottom - this._horizontalScrollbarSize);
+    if (!deltaX && !deltaY) return;
+
+    const { scrollLeft, scrollTop } = this._scroll;
+    const maxScrollLeft = Math.max(this.getTotalColumnsWidth() - (this.props.width - this._verticalScrollbarSize), 0);
+    const maxScrollTop = Math.max(this.getTotalRowsHeight() - this._getBodyHeight() + this._horizontalScrollbarSize, 0);
+    const offset = {
+      scrollLeft: Math.min(Math.max(scrollLeft + deltaX, 0), maxScrollLeft),
+      scrollTop: Math.min(Math.max(scrollTop + deltaY, 0), maxScrollTop),
+    };
+    if (offset.scrollLeft !== scrollLeft || offset.scrollTop !== scrollTop) {
+      this.scrollToPosition(offset);
+      this._updateSelectedRangeEnd();
+    }
+    this._autoScrollFrame = requestAnimationFrame(this._handleAutoScroll);
+  }
+
+  _handleKeyDown(event) {
+    if (this._handleHistoryKeyDown(event) || !this.props.keyboardNavigable) return;
+
+    // ignore the events from the inner elements, e.g. inputs in the custom cells
+    const { rowIndex: index, key } = event.target.dataset;
+    if (index === undefined || event.target.getAttribute('role') !== 'gridcell') return;
+
+    const { expandColumnKey, rowKey } = this.props;
+    const columns = this.columnManager.getOrderedColumns();
+    const rowIndex = Number(index);
+    const columnIndex = columns.findIndex(column => column.key === key);
+    const rowData = this._data[rowIndex];
+    if (!rowData || columnIndex < 0) return;
+
+    const ctrlKey = event.ctrlKey || event.metaKey;
+    // Enter or F2 starts editing with the cell value, typing a character starts editing with the character
+    const typing = event.key.length === 1 && !ctrlKey && !event.altKey;
+    if (event.key === 'Enter' || event.key === 'F2' || typing) {
+      if (this._startEditing(rowIndex, columns[columnIndex], typing ? event.key : undefined)) {
+        event.preventDefault();
+      }
+      return;
+    }
+
+    const pageSize = Math.max(this._visibleRowCount - 1, 1);
+    const expanded = this._getRenderedExpandedRowKeys().indexOf(rowData[rowKey]) >= 0;
+    let nextRowIndex = rowIndex;
+    let nextColumnIndex = columnIndex;
+
+    switch (event.key) {
+      case 'ArrowUp':
+        nextRowIndex -= 1;
+        break;
+      case 'ArrowDown':
+        nextRowIndex += 1;
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        const expanding = event.key === 'ArrowRight';
+        // expand or collapse the tree node on the expand column
+        if (key === expandColumnKey && hasChildren(rowData) && expanded !== expanding) {
+          event.preventDefault();
+          this._handleRowExpand({ expanded: expanding, rowData, rowIndex, rowKey: rowData[rowKey] });
+          return;
+        }
+        nextColumnIndex += expanding ? 1 : -1;
+        break;
+      }
+      case 'Home':
+        nextColumnIndex = 0;
+        if (ctrlKey) nextRowIndex = 0;
+        break;
+      case 'End':
+        nextColumnIndex = columns.length - 1;
+        if (ctrlKey) nextRowIndex = this._data.length - 1;
+        break;
+      case 'PageUp':
+        nextRowIndex -= pageSize;
+        break;
+      case 'PageDown':
+        nextRowIndex += pageSize;
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    nextRowIndex = Math.min(Math.max(nextRowIndex, 0), this._data.length - 1);
+    nextColumnIndex = Math.min(Math.max(nextColumnIndex, 0), columns.length - 1);
+    this._activateCell(nextRowIndex, columns[nextColumnIndex].key);
+  }
+
+  _handleCellDoubleClick(event) {
+    const { rowIndex, key } = event.currentTarget.dataset;
+    const column = this.columnManager.getOrderedColumns().find(column => String(column.key) === key);
+    column && this._startEditing(Number(rowIndex), column);
+  }
+
+  _startEditing(rowIndex, column, value) {
+    const rowData = this._data[rowIndex];
+    if (!rowData || !this._isCellEditable(column, rowData, rowIndex)) return false;
+
+    const columns = this.columnManager.getOrderedColumns();
+    const columnIndex = columns.indexOf(column);
+    this.setState({
+      editingCell: {
+        rowKey: rowData[this.props.rowKey],
+        columnKey: column.key,
+        value: value === undefined ? getCellData({ columns, column, columnIndex, rowData, rowIndex }) : value,
+      },
+    });
+    return true;
+  }
+
+  _handleEditorChange(value) {
+    this.setState(({ editingCell }) =>
+      editingCell && !editingCell.pending ? { editingCell: { ...editingCell, value } } : null
+    );
+  }
+
+  _handleEditorCommit(value) {
+    this._commitEdit(value);
+  }
+
+  _handleEditorCancel() {
+    if (!this.state.editingCell) return;
+    this.setState({ editingCell: null }, this.props.keyboardNavigable ? this._focusActiveCell : this._focusContainer);
+  }
+
+  // commit the editing value, or the provided value, then move the active cell by the offsets
+  // the editor is kept open until the value is validated by `Column.validate` and saved by `onCellEditCommit`
+  _commitEdit(value, { rowOffset = 0, columnOffset = 0, refocus = true } = {}) {
+    const { editingCell } = this.state;
+    // wait for the pending validation or saving
+    if (!editingCell || editingCell.pending) return;
+
+    const { rowKey, keyboardNavigable } = this.props;
+    const columns = this.columnManager.getOrderedColumns();
+    const rowIndex = this._data.findIndex(rowData => rowData[rowKey] === editingCell.rowKey);
+    const columnIndex = columns.findIndex(column => column.key === editingCell.columnKey);
+    const finishEdit = () =>
+      this.setState({ editingCell: null }, () => {
+        if (!refocus) return;
+        if (!keyboardNavigable || rowIndex < 0 || columnIndex < 0) {
+          this._focusContainer();
+          return;
+        }
+        const nextRowIndex = Math.min(Math.max(rowIndex + rowOffset, 0), this._data.length - 1);
+        const nextColumnIndex = Math.min(Math.max(columnIndex + columnOffset, 0), columns.length - 1);
+        this._activateCell(nextRowIndex, columns[nextColumnIndex].key);
+      });
+    if (rowIndex < 0 || columnIndex < 0) {
+      finishEdit();
+      return;
+    }
+
+    const rowData = this._data[rowIndex];
+    const column = columns[columnIndex];
+    const oldValue = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+    const editingValue = value === undefined ? editingCell.value : value;
+
+    // the async result is ignored if the editing is canceled or restarted in the meantime
+    const pendingCell = { ...editingCell, value: editingValue, pending: true, invalid: false, error: null };
+    const setInvalid = error =>
+      this.setState({
+        editingCell: { ...pendingCell, pending: false, invalid: true, error: getErrorMessage(error) },
+      });
+
+    let newValue;
+    // the default editor always gives the text, the error thrown by `Column.parseValue` is shown as invalid
+    try {
+      newValue =
+        !column.editor && column.parseValue
+          ? column.parseValue(editingValue, { column, rowData, rowIndex, oldValue })
+          : editingValue;
+    } catch (error) {
+      setInvalid(error);
+      return;
+    }
+    if (newValue === oldValue) {
+      finishEdit();
+      return;
+    }
+
+    const change = { rowKey: editingCell.rowKey, columnKey: column.key, oldValue, newValue };
+    this._saveCellChange(change, 'edit', {
+      isActive: () => this.state.editingCell === pendingCell,
+      onPending: () => this.setState({ editingCell: pendingCell }),
+      onSave: () => {
+        this._editHistory.push({ source: 'edit', changes: [change] });
+        finishEdit();
+      },
+      onError: setInvalid,
+    });
+  }
+
+  // validate the new value of a cell by `Column.validate`, then save it by `onCellEditCommit`, both could be async,
+  // the invalid reason, the rejected reason or the error thrown is passed to `onError`,
+  // the async results are ignored once `isActive` returns false
+  _saveCellChange({ rowKey, columnKey, oldValue, newValue }, source, { isActive, onPending, onSave, onError }) {
+    const rowIndex = this._data.findIndex(rowData => rowData[this.props.rowKey] === rowKey);
+    const rowData = this._data[rowIndex];
+    const column = this.columnManager.getColumn(columnKey);
+    if (!rowData || !column) return;
+
+    const handleError = error => {
+      if (isActive()) onError(error);
+    };
+    const save = () => {
+      let saving;
+      try {
+        saving = this.props.onCellEditCommit({ rowData, rowKey, column, value: newValue, source });
+      } catch (error) {
+        onError(error);
+        return;
+      }
+      if (!isPromise(saving)) {
+        onSave();
+        return;
+      }
+      onPending();
+      saving.then(() => {
+        if (isActive()) onSave();
+      }, handleError);
+    };
+
+    let validation;
+    try {
+      validation = column.validate ? column.validate(newValue, { column, rowData, rowIndex, oldValue }) : null;
+    } catch (error) {
+      onError(error);
+      return;
+    }
+    if (!isPromise(validation)) {
+      if (validation) {
+        onError(validation);
+      } else {
+        save();
+      }
+      return;
+    }
+
+    onPending();
+    validation.then(error => {
+      if (!isActive()) return;
+      error ? onError(error) : save();
+    }, handleError);
+  }
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Y or Ctrl/Cmd+Shift+Z to redo
+  _handleHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableElement(event.target)) return false;
+
+    const key = event.key.toLowerCase();
+    const undoing = key === 'z' && !event.shiftKey;
+    const redoing = key === 'y' || (key === 'z' && event.shiftKey);
+    if (!(undoing ? this.undo() : redoing && this.redo())) return false;
+
+    event.preventDefault();
+    return true;
+  }
+
+  _replayChanges({ source, changes }, replaySource) {
+    if (source !== 'edit') {
+      this.props.onCellsChange(changes, { source: replaySource, rejected: [] });
+      return;
+    }
+
+    // the replayed edit failing the validation or the saving is skipped, there is no editor to show the error
+    changes.forEach(change =>
+      this._saveCellChange(change, replaySource, { isActive: () => true, onPending: noop, onSave: noop, onError: noop })
+    );
+  }
+
+  _handleCellFocus(event) {
+    const { rowIndex, key } = event.target.dataset;
+    if (rowIndex === undefined || event.target.getAttribute('role') !== 'gridcell') return;
+
+    const rowData = this._data[Number(rowIndex)];
+    if (!rowData) return;
+
+    this._handleActiveCellChange({ rowKey: rowData[this.props.rowKey], columnKey: key }, false);
+  }
+
+  _handleActiveCellChange(activeCell, shouldFocus) {
+    if (isObjectEqual(activeCell, this.state.activeCell)) {
+      shouldFocus && this._focusActiveCell();
+      return;
+    }
+
+    this.setState({ activeCell }, shouldFocus ? this._focusActiveCell : undefined);
+    this.props.onActiveCellChange(activeCell);
+  }
+
+  _handleCopy(event) {
+    const { target } = event;
+    // keep the native behavior for the inputs in the custom cells
+    if (isEditableElement(target)) return;
+
+    const selectedCells = this._getSelectedCells();
+    if (!selectedCells) return;
+
+    const { rowIndexes, columns } = selectedCells;
+    const rows = rowIndexes.map(rowIndex => columns.map(column => this._getCopyValue(column, columns, rowIndex)));
+    const headers = this.props.copyWithHeaders
+      ? columns.map(column => (React.isValidElement(column.title) ? '' : toString(column.title)))
+      : null;
+
+    event.preventDefault();
+    event.clipboardData.setData('text/plain', toTSV(headers ? [headers, ...rows] : rows));
+    event.clipboardData.setData('text/html', toHTMLTable(rows, headers));
+  }
+
+  _handlePaste(event) {
+    const { target } = event;
+    // keep the native behavior for the inputs in the custom cells
+    if (isEditableElement(target)) return;
+
+    const startCell = this._getPasteStartCell(target);
+    if (!startCell || startCell.rowIndex < 0 || startCell.columnIndex < 0) return;
+
+    const rows = parseTSV(event.clipboardData.getData('text/plain'));
+    if (!rows.length) return;
+    event.preventDefault();
+
+    const { rowKey } = this.props;
+    const columns = this.columnManager.getOrderedColumns();
+    const changes = [];
+    const rejected = [];
+    rows.forEach((row, i) => {
+      const rowIndex = startCell.rowIndex + i;
+      const rowData = this._data[rowIndex];
+      row.forEach((value, j) => {
+        const columnIndex = startCell.columnIndex + j;
+        const column = columns[columnIndex];
+        if (!rowData || !column) {
+          rejected.push({
+            rowKey: rowData ? rowData[rowKey] : undefined,
+            columnKey: column ? column.key : undefined,
+            value,
+            reason: 'outOfRange',
+          });
+          return;
+        }
+        if (!this._isCellEditable(column, rowData, rowIndex)) {
+          rejected.push({ rowKey: rowData[rowKey], columnKey: column.key, value, reason: 'readonly' });
+          return;
+        }
+
+        const oldValue = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+        let newValue;
+        try {
+          newValue = column.parseValue ? column.parseValue(value, { column, rowData, rowIndex, oldValue }) : value;
+        } catch (error) {
+          rejected.push({ rowKey: rowData[rowKey], columnKey: column.key, value, reason: 'invalid' });
+          return;
+        }
+        if (newValue === oldValue) return;
+        changes.push({ rowKey: rowData[rowKey], columnKey: column.key, oldValue, newValue });
+      });
+    });
+
+    this._editHistory.push({ source: 'paste', changes });
+    this.props.onCellsChange(changes, { source: 'paste', rejected });
+  }
+
+  _handleSelectedRangeChange(selectedRange) {
+    if (isObjectEqual(selectedRange, this.getSelectedRange())) return;
+
+    // if `selectedRange` is uncontrolled, update internal state
+    if (this.props.selectedRange === undefined) {
+      this.setState({ selectedRange });
+    }
+    this.props.onSelectedRangeChange(selectedRange);
+  }
+
+  _handleSelectionChange(selectedRowKeys) {
+    // if `selectedRowKeys` is uncontrolled, update internal state
+    if (this.props.selectedRowKeys === undefined) {
+      this.setState({ selectedRowKeys });
+    }
+    this.props.onSelectionChange(selectedRowKeys);
+    // leave the all rows mode
+    if (this.getExcludedRowKeys()) this._handleExcludedRowsChange(null);
+  }
+
+  _handleExcludedRowsChange(excludedRowKeys) {
+    // if `excludedRowKeys` is uncontrolled, update internal state
+    if (this.props.excludedRowKeys === undefined) {
+      this.setState({ excludedRowKeys });
+    }
+    this.props.onExcludedRowsChange(excludedRowKeys);
+  }
+
   _handleColumnResize({ key }, width) {
     this.columnManager.setColumnWidth(key, width);
     this.setState({ resizingWidth: width });
@@ -1006,17 +2849,56 @@ class BaseTable extends React.PureComponent {
 
   _handleColumnSort(event) {
     const key = event.currentTarget.dataset.key;
-    const { sortBy, sortState, onColumnSort } = this.props;
-    let order = SortOrder.ASC;
+    const sortBy = this.getSortBy();
+    const sortState = this.getSortState();
+    // the key from the dataset is always a string, map it back to the column
+    const column = this.columnManager.getOriginalColumns().find(x => String(x.key) === key);
+    if (!column) return;
+
+    const getNextOrder = currentOrder =>
+      getNextSortOrder(currentOrder, column.sortDirections || this.props.sortCycle, column.defaultSortOrder);
+    let order;
+    let nextSortState;
+
+    if (Array.isArray(sortState)) {
+      const index = sortState.findIndex(sort => String(sort.key) === key);
+      order = getNextOrder(index >= 0 ? sortState[index].order : null);
+      const sorts = order ? [{ key: column.key, order }] : [];
+      // Shift-click adds the column as the lowest priority or changes its order in place, click replaces all
+      if (!event.shiftKey) nextSortState = sorts;
+      else if (index < 0) nextSortState = sortState.concat(sorts);
+      else nextSortState = [...sortState.slice(0, index), ...sorts, ...sortState.slice(index + 1)];
+    } else if (sortState) {
+      order = getNextOrder(sortState[key]);
+      nextSortState = { ...sortState, [key]: order };
+      // the unsorted column is removed from the sort state
+      if (!order) delete nextSortState[key];
+    } else {
+      order = getNextOrder(String(sortBy.key) === key ? sortBy.order : null);
+    }
 
-    if (sortState) {
-      order = sortState[key] === SortOrder.ASC ? SortOrder.DESC : SortOrder.ASC;
-    } else if (key === sortBy.key) {
-      order = sortBy.order === SortOrder.ASC ? SortOrder.DESC : SortOrder.ASC;
+    // if the sort state is uncontrolled, update internal state, it's only managed by the table for the client sort
+    // or with a default sort state, otherwise it's up to `onColumnSort` to sort the data and update the state
+    const { clientSort, defaultSortBy, defaultSortState } = this.props;
+    if (clientSort || defaultSortBy !== undefined || defaultSortState !== undefined) {
+      if (sortState && this.props.sortState === undefined) {
+        this.setState({ sortState: nextSortState });
+      } else if (!sortState && this.props.sortBy === undefined) {
+        this.setState({ sortBy: order ? { key: column.key, order } : EMPTY_OBJECT });
+      }
     }
+    this.props.onColumnSort(sortState ? { column, key, order, sortState: nextSortState } : { column, key, order });
+  }
 
+  _handleFilterChange(key, value) {
     const column = this.columnManager.getColumn(key);
-    onColumnSort({ column, key, order });
+    const nextFilterState = { ...this.getFilterState(), [key]: value };
+    // the inactive filter is removed from the filter state
+    if (!isFilterActive(value)) delete nextFilterState[key];
+
+    // if the filter state is uncontrolled, update internal state
+    if (this.props.filterState === undefined) this.setState({ filterState: nextFilterState });
+    this.props.onFilterChange({ column, key, value, filterState: nextFilterState });
   }
 
   _handleFrozenRowHeightChange(rowKey, size, rowIndex, frozen) {
@@ -1050,6 +2932,8 @@ class BaseTable extends React.PureComponent {
 
 BaseTable.Column = Column;
 BaseTable.PlaceholderKey = ColumnManager.PlaceholderKey;
+BaseTable.GroupKey = GROUP_KEY;
+BaseTable.TotalKey = TOTAL_KEY;
 
 BaseTable.defaultProps = {
   classPrefix: 'BaseTable',
@@ -1061,7 +2945,7 @@ BaseTable.defaultProps = {
   rowHeight: 50,
   footerHeight: 0,
   defaultExpandedRowKeys: [],
-  sortBy: {},
+  defaultSelectedRowKeys: [],
   useIsScrolling: false,
   overscanRowCount: 1,
   onEndReachedThreshold: 500,
@@ -1073,11 +2957,29 @@ BaseTable.defaultProps = {
   onScrollbarPresenceChange: noop,
   onRowExpand: noop,
   onExpandedRowsChange: noop,
+  onSelectionChange: noop,
+  onExcludedRowsChange: noop,
+  onSelectedRangeChange: noop,
+  onActiveCellChange: noop,
+  undoLimit: 100,
+  onCellsChange: noop,
+  onCellEditCommit: noop,
+  sortCycle: [SortOrder.ASC, SortOrder.DESC],
   onColumnSort: noop,
+  filterRowHeight: 0,
+  onFilterChange: noop,
+  onFilterExpressionError: noop,
   onColumnResize: noop,
   onColumnResizeEnd: noop,
 };
 
+const CellRangeShape = PropTypes.shape({
+  startRowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  endRowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  startColumnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  endColumnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+});
+
 BaseTable.propTypes = {
   /**
    * Prefix for table's inner className
@@ -1161,6 +3063,12 @@ BaseTable.propTypes = {
    * Custom footer renderer, available only if `footerHeight` is larger then 0
    */
   footerRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  /**
+   * Whether to render the footer as a row aligned with the columns instead of `footerRenderer`,
+   * available only if `footerHeight` is larger then 0, the cells are rendered by `Column.footerRenderer`,
+   * or show the aggregates of the filtered data by `Column.aggregate` by default
+   */
+  footerRow: PropTypes.bool,
   /**
    * Custom header renderer
    * The renderer receives props `{ cells, columns, headerIndex }`
@@ -1210,6 +3118,25 @@ BaseTable.propTypes = {
    * The key for the expand column which render the expand icon if the data is a tree
    */
   expandColumnKey: PropTypes.string,
+  /**
+   * The keys of the columns to group the rows by in order, the group rows are made of `data`,
+   * they are collapsible if `expandColumnKey` is set, and their labels are rendered in the cell of it,
+   * otherwise they are always expanded and their labels are rendered in the first column without an aggregate
+   */
+  groupBy: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  /**
+   * Custom renderer of the label of the group rows,
+   * which receives `{ columnKey, value, count, depth, rows, aggregates, rowData, rowIndex, container }`
+   */
+  groupRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  /**
+   * Whether to render a total row after the rows, which shows the aggregates of the filtered data by `Column.aggregate`
+   */
+  totalRow: PropTypes.bool,
+  /**
+   * Custom renderer of the label of the total row, which receives `{ count, aggregates, rowData, rowIndex, container }`
+   */
+  totalRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
   /**
    * Default expanded row keys when initialize the table
    */
@@ -1228,6 +3155,148 @@ BaseTable.propTypes = {
    * The handler is of the shape of `(expandedRowKeys) => *`
    */
   onExpandedRowsChange: PropTypes.func,
+  /**
+   * Default selected row keys when initialize the table
+   */
+  defaultSelectedRowKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  /**
+   * Controlled selected row keys
+   */
+  selectedRowKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  /**
+   * A callback function when the selected row keys changed
+   * The handler is of the shape of `(selectedRowKeys) => *`
+   */
+  onSelectionChange: PropTypes.func,
+  /**
+   * Whether `selectAll` selects all the rows matching the current query including the ones not loaded yet,
+   * e.g. for the infinite loading table, then the selection is represented as `excludedRowKeys`
+   */
+  selectAllMatching: PropTypes.bool,
+  /**
+   * Default excluded row keys when initialize the table
+   */
+  defaultExcludedRowKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  /**
+   * Controlled excluded row keys, all the matching rows except these ones are selected,
+   * `null` if not all the matching rows are selected, in which case `selectedRowKeys` is used
+   */
+  excludedRowKeys: PropTypes.arrayOf(PropTypes.oneOfType([PropTypes.string, PropTypes.number])),
+  /**
+   * A callback function when the excluded row keys changed, `null` means leaving the all rows mode
+   * The handler is of the shape of `(excludedRowKeys) => *`
+   */
+  onExcludedRowsChange: PropTypes.func,
+  /**
+   * Whether the rows could be selected by clicking, one of `single`, `multiple` and `tree`
+   *
+   * In `multiple` mode, Ctrl/Cmd-click toggles the row, Shift-click selects the rows between the last clicked row and the clicked row
+   *
+   * In `tree` mode, click toggles the row with all its descendants including the collapsed ones, a parent is selected
+   * if all its children are selected, or partially selected if some of them are selected
+   */
+  selectionMode: PropTypes.oneOf([SelectionMode.SINGLE, SelectionMode.MULTIPLE, SelectionMode.TREE]),
+  /**
+   * Whether a rectangular range of cells could be selected by dragging the mouse,
+   * the body will be scrolled automatically if dragging out of the viewport
+   */
+  rangeSelectable: PropTypes.bool,
+  /**
+   * Default selected cell range when initialize the table
+   */
+  defaultSelectedRange: CellRangeShape,
+  /**
+   * Controlled selected cell range, `null` for no selected cells
+   *
+   * The range is of the shape of `{ startRowKey, endRowKey, startColumnKey, endColumnKey }`,
+   * the start corner is where the selection begins and the end corner is where it ends
+   */
+  selectedRange: CellRangeShape,
+  /**
+   * A callback function when the selected cell range changed
+   * The handler is of the shape of `(selectedRange) => *`
+   */
+  onSelectedRangeChange: PropTypes.func,
+  /**
+   * Whether the cells could be navigated by keyboard, only the active cell is in the tab sequence
+   *
+   * Supported keys: arrow keys, Home/End, Ctrl/Cmd+Home/End, PageUp/PageDown,
+   * and Left/Right on the cell of `expandColumnKey` to collapse/expand the tree node
+   */
+  keyboardNavigable: PropTypes.bool,
+  /**
+   * A callback function when the active cell changed by keyboard navigation or focus
+   * The handler is of the shape of `({ rowKey, columnKey }) => *`
+   */
+  onActiveCellChange: PropTypes.func,
+  /**
+   * Whether to copy the selected cell range or the selected rows to clipboard via Ctrl/Cmd+C,
+   * both `text/plain` as TSV and `text/html` as table markup are put to the clipboard.
+   * The value is from `Column.copyFormatter` if provided, or the cell data
+   */
+  copyable: PropTypes.bool,
+  /**
+   * Whether to include the column titles as the first row while copying
+   */
+  copyWithHeaders: PropTypes.bool,
+  /**
+   * Whether to show the fill handle at the corner of the selected range, works with `rangeSelectable`
+   *
+   * Dragging the handle fills the adjacent cells with the selected values, numeric and date series are continued,
+   * other values are repeated, the changes are passed to `onCellsChange` in one batch with the `source` of `fill`
+   */
+  fillable: PropTypes.bool,
+  /**
+   * Whether to paste the TSV text from clipboard via Ctrl/Cmd+V, the pasted block starts from the focused cell,
+   * or the top-left cell of the selected range. Only the cells of `Column.editable` are changed,
+   * the values are parsed by `Column.parseValue` if provided
+   */
+  pastable: PropTypes.bool,
+  /**
+   * A callback function when the cells are changed by the table, e.g. pasting, filling or undoing
+   * The handler is of the shape of `(changes, { source, rejected }) => *`
+   *
+   * `changes` is an array of `{ rowKey, columnKey, oldValue, newValue }`, the table doesn't change the data itself,
+   * you should apply the changes to `data`.
+   *
+   * `rejected` is an array of `{ rowKey, columnKey, value, reason }` for the values which are not applied,
+   * `reason` is `readonly` for the cells not editable, `invalid` for the pasted text `Column.parseValue` throws on,
+   * or `outOfRange` for the values beyond the last row or column, in which case `rowKey` or `columnKey` is `undefined`
+   */
+  onCellsChange: PropTypes.func,
+  /**
+   * A callback function when the editing of a cell of `Column.editable` is committed and the value is changed,
+   * the table doesn't change the data itself, you should apply the value to `data`
+   * The handler is of the shape of `({ rowData, rowKey, column, value, source }) => *`,
+   * `source` is `edit` for the edits, or `undo`/`redo` for the replayed edits by undo and redo,
+   * which are validated by `Column.validate` as well
+   *
+   * If a Promise is returned, the editor is kept open in the pending state until it's settled,
+   * and the rejected reason is shown as the error
+   *
+   * The editing starts by double-click, or Enter/F2/typing on the active cell if `keyboardNavigable` is set,
+   * and is committed by Enter/Tab/blur or canceled by Escape
+   */
+  onCellEditCommit: PropTypes.func,
+  /**
+   * The max number of the change batches kept for undo when initialize the table, set to 0 to disable undo
+   *
+   * The changes made by editing and pasting could be undone/redone via Ctrl/Cmd+Z and Ctrl/Cmd+Y(Ctrl/Cmd+Shift+Z)
+   * while the table has the focus, or the `undo`/`redo` methods
+   */
+  undoLimit: PropTypes.number,
+  /**
+   * Whether to sort the data by the table according to `sortBy` or `sortState`,
+   * the rows are compared by `Column.sortMethod`, `Column.comparator` or a default comparator on the cell data
+   */
+  clientSort: PropTypes.bool,
+  /**
+   * The default sort state when initialize the table, the sort state is managed by the table if `sortBy` is not set
+   */
+  defaultSortBy: PropTypes.shape({
+    key: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    order: PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC]),
+  }),
   /**
    * The sort state for the table, will be ignored if `sortState` is set
    */
@@ -1251,13 +3320,77 @@ BaseTable.propTypes = {
    *   'column-1': SortOrder.DESC,
    * }
    * ```
+   *
+   * It could also be an array of `{ key, order }` in priority, then click replaces the sort state,
+   * Shift-click adds a sort column, and the priorities are passed to `SortIndicator` as `sortPriority`
+   */
+  sortState: PropTypes.oneOfType([
+    PropTypes.object,
+    PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+        order: PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC]),
+      })
+    ),
+  ]),
+  /**
+   * The default multiple columns sort state when initialize the table,
+   * the sort state is managed by the table if `sortState` is not set
    */
-  sortState: PropTypes.object,
+  defaultSortState: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+  /**
+   * The sort orders to cycle through by clicking the sortable header cell, `null` stands for unsorted,
+   * e.g. `['asc', 'desc', null]` makes the third click clear the sort of the column,
+   * it could be overridden by `Column.sortDirections`
+   */
+  sortCycle: PropTypes.arrayOf(PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC, null])),
   /**
    * A callback function for the header cell click event
-   * The handler is of the shape of `({ column, key, order }) => *`
+   * The handler is of the shape of `({ column, key, order, sortState }) => *`,
+   * `sortState` is the next sort state if `sortState` is used
    */
   onColumnSort: PropTypes.func,
+  /**
+   * Whether to filter the data by the table according to `filterState`, see `Column.filter`
+   */
+  clientFilter: PropTypes.bool,
+  /**
+   * The filter state for the table of the shape of `{ [columnKey]: value }`, the shape of the value depends on
+   * the type of `Column.filter`, e.g. `{ min, max }` for `number` and `{ start, end }` for `dateRange`
+   */
+  filterState: PropTypes.object,
+  /**
+   * The default filter state when initialize the table, the filter state is managed by the table if `filterState` is not set
+   */
+  defaultFilterState: PropTypes.object,
+  /**
+   * The height of the filter row, which is an extra header row after the ones of `headerHeight`
+   * to render the filters of the columns, there is no filter row if it's 0
+   */
+  filterRowHeight: PropTypes.number,
+  /**
+   * The text to search in the visible cells, the rows without any matched cell are filtered out,
+   * the matches are highlighted by the default `TableCell`, and `cellRenderer` receives them as `matchRanges`
+   */
+  searchText: PropTypes.string,
+  /**
+   * The filter expression to filter the data, e.g. `status = "open" and age > 30 or name ~ "smi"`,
+   * the identifiers are the keys or the `dataKey` of the columns, the invalid expression is ignored
+   * and its error is passed to `onFilterExpressionError`, see the docs for the syntax
+   */
+  filterExpression: PropTypes.string,
+  /**
+   * A callback function when `filterExpression` is invalid
+   * The handler is of the shape of `({ filterExpression, error }) => *`,
+   * `error` is a `FilterExpressionError` with the `position` of the error in the expression
+   */
+  onFilterExpressionError: PropTypes.func,
+  /**
+   * A callback function when the filter of a column is changed
+   * The handler is of the shape of `({ column, key, value, filterState }) => *`,
+   * `filterState` is the next filter state without the inactive filters
+   */
+  onFilterChange: PropTypes.func,
   /**
    * A callback function when resizing the column width
    * The handler is of the shape of `({ column, width }) => *`
@@ -1328,8 +3461,10 @@ BaseTable.propTypes = {
   components: PropTypes.shape({
     TableCell: PropTypes.elementType,
     TableHeaderCell: PropTypes.elementType,
+    CellEditor: PropTypes.elementType,
     ExpandIcon: PropTypes.elementType,
     SortIndicator: PropTypes.elementType,
+    ColumnFilter: PropTypes.elementType,
   }),
 };
 
@@ -1,7 +1,12 @@
 import React from 'react';
-import renderer from 'react-test-renderer';
+import renderer, { act } from 'react-test-renderer';
+import { FixedSizeGrid } from 'react-window';
 
 import BaseTable from './BaseTable';
+import SortIndicator from './SortIndicator';
+import ExpandIcon from './ExpandIcon';
+import GridTable from './GridTable';
+import { FilterExpressionError } from './filterExpression';
 
 const RENDERER = () => null;
 
@@ -153,3 +158,1467 @@ describe('Table', function() {
     expect(tree).toMatchSnapshot();
   });
 });
+
+const render = element => {
+  let root;
+  act(() => {
+    root = renderer.create(element);
+  });
+  return root;
+};
+const getRows = root =>
+  root.root.findAll(
+    node =>
+      typeof node.type === 'string' && node.props.role === 'row' && /^BaseTable__row( |$)/.test(node.props.className)
+  );
+const isCellText = node => typeof node.type === 'string' && node.props.className === 'BaseTable__row-cell-text';
+// the text of the first cell of each row is the same as its id
+const getRowKeys = root => getRows(root).map(row => row.findAll(isCellText)[0].children[0]);
+const isEditor = node => typeof node.type === 'string' && node.props.className === 'BaseTable__row-cell-editor';
+const getEditableCells = root => root.root.findAll(node => typeof node.type === 'string' && !!node.props.onDoubleClick);
+// render the table and start editing the first editable cell by double-click,
+// the editor node is mocked as it is focused on mount, the other nodes are mocked by `createNodeMock`
+const renderEditing = (element, createNodeMock = () => null) => {
+  let root;
+  act(() => {
+    root = renderer.create(element, {
+      createNodeMock: node =>
+        isEditor(node) ? { ownerDocument: {}, querySelector: () => null, contains: () => false } : createNodeMock(node),
+    });
+  });
+  const [cell] = getEditableCells(root);
+  const dataset = { rowIndex: String(cell.props['data-row-index']), key: cell.props['data-key'] };
+  act(() => cell.props.onDoubleClick({ currentTarget: { dataset } }));
+  return root;
+};
+const commitEdit = (root, value) => {
+  act(() => root.root.findByType('input').props.onChange({ target: { value } }));
+  act(() => root.root.find(isEditor).props.onKeyDown({ key: 'Enter', preventDefault: jest.fn() }));
+};
+
+describe('Selection', function() {
+  const selectionData = [...data, { id: '3', code: '3', name: '3' }];
+  const isSelected = row => row.props.className.split(' ').includes('BaseTable__row--selected');
+
+  test('table can receive selectedRowKeys', () => {
+    const root = render(<Table height={300} data={selectionData} selectedRowKeys={['2']} />);
+    expect(getRows(root).filter(isSelected).length).toBe(1);
+  });
+
+  test('table keeps the controlled selectedRowKeys until they are changed by the props', () => {
+    const onSelectionChange = jest.fn();
+    const ref = React.createRef();
+    const props = { ref, height: 300, data: selectionData, selectionMode: 'multiple', onSelectionChange };
+    const root = render(<Table {...props} selectedRowKeys={['2']} />);
+
+    act(() => getRows(root)[0].props.onClick({}));
+    act(() => ref.current.selectRow('3'));
+    expect(onSelectionChange.mock.calls).toEqual([[['1']], [['2', '3']]]);
+    expect(ref.current.getSelectedRowKeys()).toEqual(['2']);
+    expect(getRows(root).map(isSelected)).toEqual([false, true, false]);
+
+    act(() => root.update(<Table {...props} selectedRowKeys={['1', '3']} />));
+    expect(getRows(root).map(isSelected)).toEqual([true, false, true]);
+  });
+
+  test('table starts the uncontrolled selection with defaultSelectedRowKeys', () => {
+    const onSelectionChange = jest.fn();
+    const ref = React.createRef();
+    const defaultSelectedRowKeys = ['2'];
+    const props = { ref, height: 300, data: selectionData, selectionMode: 'multiple', onSelectionChange };
+    const root = render(<Table {...props} defaultSelectedRowKeys={defaultSelectedRowKeys} />);
+    expect(getRows(root).map(isSelected)).toEqual([false, true, false]);
+
+    act(() => ref.current.selectRow('3'));
+    expect(getRows(root).map(isSelected)).toEqual([false, true, true]);
+    act(() => ref.current.selectRow('2', false));
+    // selecting a selected row changes nothing
+    act(() => ref.current.selectRow('3'));
+    expect(onSelectionChange.mock.calls).toEqual([[['2', '3']], [['3']]]);
+    expect(ref.current.getSelectedRowKeys()).toEqual(['3']);
+    expect(defaultSelectedRowKeys).toEqual(['2']);
+
+    // the default is only used on mount
+    act(() => root.update(<Table {...props} defaultSelectedRowKeys={['1']} />));
+    expect(getRows(root).map(isSelected)).toEqual([false, false, true]);
+  });
+
+  test('table selects rows by click in multiple mode', () => {
+    const onSelectionChange = jest.fn();
+    const root = render(
+      <Table height={300} data={selectionData} selectionMode="multiple" onSelectionChange={onSelectionChange} />
+    );
+
+    act(() => getRows(root)[0].props.onClick({}));
+    act(() => getRows(root)[2].props.onClick({ shiftKey: true }));
+    act(() => getRows(root)[1].props.onClick({ ctrlKey: true }));
+
+    expect(onSelectionChange.mock.calls).toEqual([[['1']], [['1', '2', '3']], [['1', '3']]]);
+    expect(getRows(root).map(isSelected)).toEqual([true, false, true]);
+  });
+
+  test('table skips the selection if the row click is prevented', () => {
+    const onSelectionChange = jest.fn();
+    const rowEventHandlers = { onClick: ({ event }) => event.preventDefault() };
+    const root = render(
+      <Table
+        height={300}
+        data={selectionData}
+        selectionMode="single"
+        rowEventHandlers={rowEventHandlers}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+
+    const event = {
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      },
+    };
+    act(() => getRows(root)[0].props.onClick(event));
+    expect(onSelectionChange).not.toHaveBeenCalled();
+  });
+
+  test('table cascades the selection in tree mode', () => {
+    const onSelectionChange = jest.fn();
+    const children = [
+      { id: '1-1', code: '1-1' },
+      { id: '1-2', code: '1-2' },
+    ];
+    const treeData = [
+      { id: '1', code: '1', name: '1', children },
+      { id: '2', code: '2', name: '2' },
+    ];
+    const states = {};
+    const treeColumns = [
+      {
+        ...columns[0],
+        cellRenderer: ({ rowData, selectionState }) => {
+          states[rowData.id] = selectionState;
+          return null;
+        },
+      },
+    ];
+    const root = render(
+      <Table
+        height={300}
+        data={treeData}
+        columns={treeColumns}
+        expandColumnKey="code"
+        selectionMode="tree"
+        defaultSelectedRowKeys={['1-2']}
+        onSelectionChange={onSelectionChange}
+      />
+    );
+    expect(states['1']).toEqual({ checked: false, indeterminate: true });
+
+    // the collapsed children are selected with the parent
+    act(() => getRows(root)[0].props.onClick({}));
+    expect(onSelectionChange.mock.calls).toEqual([[['1-2', '1-1', '1']]]);
+    expect(states['1']).toEqual({ checked: true, indeterminate: false });
+    expect(getRows(root).map(isSelected)).toEqual([true, false]);
+  });
+
+  test('table selects all the rows and the matching rows', () => {
+    const onSelectionChange = jest.fn();
+    const onExcludedRowsChange = jest.fn();
+    const ref = React.createRef();
+    const root = render(
+      <Table
+        ref={ref}
+        height={300}
+        data={selectionData}
+        selectionMode="multiple"
+        defaultSelectedRowKeys={['2']}
+        onSelectionChange={onSelectionChange}
+        onExcludedRowsChange={onExcludedRowsChange}
+      />
+    );
+    expect(ref.current.getSelectAllState()).toEqual({ checked: false, indeterminate: true });
+
+    act(() => ref.current.selectAll());
+    expect(onSelectionChange.mock.calls).toEqual([[['1', '2', '3']]]);
+    expect(ref.current.getSelectAllState()).toEqual({ checked: true, indeterminate: false });
+
+    act(() =>
+      root.update(
+        <Table
+          ref={ref}
+          height={300}
+          data={selectionData}
+          selectionMode="multiple"
+          selectAllMatching
+          onSelectionChange={onSelectionChange}
+          onExcludedRowsChange={onExcludedRowsChange}
+        />
+      )
+    );
+    act(() => ref.current.selectAll());
+    act(() => getRows(root)[1].props.onClick({ ctrlKey: true }));
+    expect(onExcludedRowsChange.mock.calls).toEqual([[[]], [['2']]]);
+    expect(getRows(root).map(isSelected)).toEqual([true, false, true]);
+    expect(ref.current.getSelectAllState()).toEqual({ checked: false, indeterminate: true });
+
+    // a plain click leaves the all rows mode
+    act(() => getRows(root)[0].props.onClick({}));
+    expect(onExcludedRowsChange).toHaveBeenLastCalledWith(null);
+    expect(onSelectionChange).toHaveBeenLastCalledWith(['1']);
+    expect(getRows(root).map(isSelected)).toEqual([true, false, false]);
+  });
+
+  test('table can receive selectedRange', () => {
+    const selectedRange = { startRowKey: '3', endRowKey: '2', startColumnKey: 'code', endColumnKey: 'code' };
+    const root = render(<Table height={300} data={selectionData} selectedRange={selectedRange} />);
+    const isSelectedCell = node =>
+      typeof node.type === 'string' && node.props.className === 'BaseTable__row-cell BaseTable__row-cell--selected';
+
+    expect(getRows(root).map(row => row.findAll(isSelectedCell).length)).toEqual([0, 1, 1]);
+
+    act(() =>
+      root.update(<Table height={300} data={selectionData} selectedRange={{ ...selectedRange, endRowKey: '1' }} />)
+    );
+    expect(getRows(root).map(row => row.findAll(isSelectedCell).length)).toEqual([1, 1, 1]);
+  });
+
+  test('table copies the selected range in the rendered order of the frozen columns', () => {
+    const copyColumns = [
+      { key: 'a', dataKey: 'a', title: 'A', width: 100, frozen: 'right' },
+      { key: 'b', dataKey: 'b', title: 'B', width: 100 },
+      { key: 'c', dataKey: 'c', title: 'C', width: 100, frozen: 'left' },
+      { key: 'd', dataKey: 'd', title: 'D', width: 100, copyFormatter: ({ cellData }) => `<${cellData}>` },
+    ];
+    const copyData = [
+      { id: '1', a: 'a1', b: 'b1', c: 'c1', d: 1 },
+      { id: '2', a: 'a "2"', b: 'b\t2', c: 'c2', d: 2 },
+    ];
+    const ref = React.createRef();
+    const root = render(
+      <BaseTable
+        ref={ref}
+        width={300}
+        height={300}
+        fixed
+        columns={copyColumns}
+        data={copyData}
+        selectedRange={{ startRowKey: '1', endRowKey: '2', startColumnKey: 'b', endColumnKey: 'a' }}
+        copyable
+        copyWithHeaders
+      />
+    );
+    // the left frozen columns are rendered first and the right frozen ones last
+    const orderedColumns = ref.current.getColumnManager().getOrderedColumns();
+    expect(orderedColumns.map(column => column.key)).toEqual(['c', 'b', 'd', 'a']);
+
+    const container = root.root.find(node => typeof node.type === 'string' && !!node.props.onCopy);
+    const event = { target: { tagName: 'DIV' }, clipboardData: { setData: jest.fn() }, preventDefault: jest.fn() };
+    container.props.onCopy(event);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(event.clipboardData.setData.mock.calls).toEqual([
+      ['text/plain', 'B\tD\tA\nb1\t<1>\ta1\n"b\t2"\t<2>\t"a ""2"""'],
+      [
+        'text/html',
+        '<table><thead><tr><th>B</th><th>D</th><th>A</th></tr></thead><tbody>' +
+          '<tr><td>b1</td><td>&lt;1&gt;</td><td>a1</td></tr>' +
+          '<tr><td>b\t2</td><td>&lt;2&gt;</td><td>a &quot;2&quot;</td></tr>' +
+          '</tbody></table>',
+      ],
+    ]);
+  });
+
+  test('table pastes the clipboard data into the editable cells', () => {
+    const onCellsChange = jest.fn();
+    const pasteColumns = [{ ...columns[0], editable: true, parseValue: text => `#${text}` }, columns[1]];
+    const selectedRange = { startRowKey: '2', endRowKey: '2', startColumnKey: 'code', endColumnKey: 'code' };
+    const root = render(
+      <Table
+        height={300}
+        data={selectionData}
+        columns={pasteColumns}
+        selectedRange={selectedRange}
+        pastable
+        onCellsChange={onCellsChange}
+      />
+    );
+
+    const container = root.root.find(node => typeof node.type === 'string' && !!node.props.onPaste);
+    container.props.onPaste({
+      target: { tagName: 'DIV', closest: () => null },
+      clipboardData: { getData: () => 'a\tb\nc\td\ne\tf\n' },
+      preventDefault: jest.fn(),
+    });
+
+    expect(onCellsChange).toHaveBeenCalledTimes(1);
+    const [changes, { source, rejected }] = onCellsChange.mock.calls[0];
+    expect(source).toBe('paste');
+    expect(changes).toEqual([
+      { rowKey: '2', columnKey: 'code', oldValue: '2', newValue: '#a' },
+      { rowKey: '3', columnKey: 'code', oldValue: '3', newValue: '#c' },
+    ]);
+    expect(rejected.map(({ rowKey, columnKey, reason }) => [rowKey, columnKey, reason])).toEqual([
+      ['2', 'name', 'readonly'],
+      ['3', 'name', 'readonly'],
+      [undefined, 'code', 'outOfRange'],
+      [undefined, 'name', 'outOfRange'],
+    ]);
+  });
+
+  test('table rejects the pasted text failing to parse and leaves out the unchanged values', () => {
+    const onCellsChange = jest.fn();
+    const parseValue = text => {
+      if (Number.isNaN(Number(text))) throw new Error('not a number');
+      return text;
+    };
+    const pasteColumns = columns.map(column => ({ ...column, editable: true, parseValue }));
+    const selectedRange = { startRowKey: '1', endRowKey: '1', startColumnKey: 'code', endColumnKey: 'code' };
+    const root = render(
+      <Table
+        height={300}
+        data={selectionData}
+        columns={pasteColumns}
+        selectedRange={selectedRange}
+        pastable
+        onCellsChange={onCellsChange}
+      />
+    );
+
+    const container = root.root.find(node => typeof node.type === 'string' && !!node.props.onPaste);
+    container.props.onPaste({
+      target: { tagName: 'DIV', closest: () => null },
+      clipboardData: { getData: () => '1\tx\n9\t2\n' },
+      preventDefault: jest.fn(),
+    });
+
+    expect(onCellsChange.mock.calls).toEqual([
+      [
+        [{ rowKey: '2', columnKey: 'code', oldValue: '2', newValue: '9' }],
+        { source: 'paste', rejected: [{ rowKey: '1', columnKey: 'name', value: 'x', reason: 'invalid' }] },
+      ],
+    ]);
+  });
+
+  test('table undoes and redoes the pasted changes', () => {
+    const onCellsChange = jest.fn();
+    const pasteColumns = [{ ...columns[0], editable: true }, columns[1]];
+    const table = React.createRef();
+    const root = render(
+      <BaseTable
+        ref={table}
+        width={100}
+        height={300}
+        data={selectionData}
+        columns={pasteColumns}
+        defaultSelectedRange={{ startRowKey: '1', endRowKey: '1', startColumnKey: 'code', endColumnKey: 'code' }}
+        pastable
+        onCellsChange={onCellsChange}
+      />
+    );
+    expect(table.current.canUndo()).toBe(false);
+
+    const container = root.root.find(node => typeof node.type === 'string' && !!node.props.onPaste);
+    container.props.onPaste({
+      target: { tagName: 'DIV', closest: () => null },
+      clipboardData: { getData: () => 'a\nb' },
+      preventDefault: jest.fn(),
+    });
+    expect(table.current.canUndo()).toBe(true);
+
+    expect(table.current.undo()).toBe(true);
+    expect(table.current.canUndo()).toBe(false);
+    expect(table.current.redo()).toBe(true);
+    expect(table.current.canRedo()).toBe(false);
+
+    const [, undone, redone] = onCellsChange.mock.calls;
+    expect(undone[1].source).toBe('undo');
+    expect(undone[0].map(({ rowKey, oldValue, newValue }) => [rowKey, oldValue, newValue])).toEqual([
+      ['1', 'a', '1'],
+      ['2', 'b', '2'],
+    ]);
+    expect(redone[1].source).toBe('redo');
+    expect(redone[0]).toEqual(onCellsChange.mock.calls[0][0]);
+  });
+
+  test('table edits the cell by double-click and commits by Enter', () => {
+    const onCellEditCommit = jest.fn();
+    const editColumns = [columns[0], { ...columns[1], editable: ({ rowData }) => rowData.id !== '2' }];
+    const root = renderEditing(
+      <Table height={300} data={selectionData} columns={editColumns} onCellEditCommit={onCellEditCommit} />
+    );
+    expect(root.root.findByType('input').props.value).toBe('1');
+
+    commitEdit(root, 'x');
+    expect(root.root.findAllByType('input').length).toBe(0);
+    expect(getEditableCells(root).map(cell => cell.props['data-row-index'])).toEqual([0, 2]);
+    expect(onCellEditCommit).toHaveBeenCalledTimes(1);
+    const { rowKey, column, value } = onCellEditCommit.mock.calls[0][0];
+    expect([rowKey, column.key, value]).toEqual(['1', 'name', 'x']);
+  });
+
+  test('table keeps the editor open if the edited value is invalid', () => {
+    const onCellEditCommit = jest.fn();
+    const validate = value => (value.length > 1 ? 'too long' : undefined);
+    const editColumns = [columns[0], { ...columns[1], editable: true, validate }];
+    const root = renderEditing(
+      <Table height={300} data={selectionData} columns={editColumns} onCellEditCommit={onCellEditCommit} />
+    );
+    const isInvalid = () =>
+      root.root.findAll(
+        node => typeof node.type === 'string' && /BaseTable__row-cell--invalid/.test(node.props.className)
+      ).length > 0;
+
+    commitEdit(root, 'xyz');
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+    expect(isInvalid()).toBe(true);
+    expect(root.root.findByType('input').props.title).toBe('too long');
+
+    commitEdit(root, 'x');
+    expect(onCellEditCommit).toHaveBeenCalledTimes(1);
+    expect(root.root.findAllByType('input').length).toBe(0);
+  });
+
+  test('table keeps the editor open with the error thrown by parseValue', () => {
+    const onCellEditCommit = jest.fn();
+    const parseValue = text => {
+      if (Number.isNaN(Number(text))) throw new Error('not a number');
+      return Number(text);
+    };
+    const editColumns = [columns[0], { ...columns[1], editable: true, parseValue }];
+    const root = renderEditing(
+      <Table height={300} data={selectionData} columns={editColumns} onCellEditCommit={onCellEditCommit} />
+    );
+
+    commitEdit(root, 'x');
+    expect(onCellEditCommit).not.toHaveBeenCalled();
+    expect(root.root.findByType('input').props.title).toBe('not a number');
+
+    commitEdit(root, '2');
+    expect(onCellEditCommit).toHaveBeenCalledWith(expect.objectContaining({ rowKey: '1', value: 2 }));
+    expect(root.root.findAllByType('input').length).toBe(0);
+  });
+
+  test('table keeps the focus after editing to undo the edit by the keys', () => {
+    const onCellEditCommit = jest.fn();
+    const editColumns = [columns[0], { ...columns[1], editable: true }];
+    const container = { focus: jest.fn() };
+    const root = renderEditing(
+      <Table height={300} data={selectionData} columns={editColumns} onCellEditCommit={onCellEditCommit} />,
+      element => (/^BaseTable( |$)/.test(element.props.className) ? container : null)
+    );
+    const table = root.root.find(node => typeof node.type === 'string' && /^BaseTable( |$)/.test(node.props.className));
+    // the edit-only table is focusable to receive the keys
+    expect(table.props.tabIndex).toBe(-1);
+
+    commitEdit(root, 'x');
+    expect(container.focus).toHaveBeenCalledTimes(1);
+
+    const keyDown = options =>
+      act(() => table.props.onKeyDown({ target: { tagName: 'DIV' }, preventDefault: jest.fn(), ...options }));
+    keyDown({ key: 'z', ctrlKey: true });
+    keyDown({ key: 'y', metaKey: true });
+    expect(onCellEditCommit.mock.calls.map(([{ rowKey, value, source }]) => [rowKey, value, source])).toEqual([
+      ['1', 'x', 'edit'],
+      ['1', '1', 'undo'],
+      ['1', 'x', 'redo'],
+    ]);
+  });
+
+  describe('async validation and saving', () => {
+    const renderValidating = (validate, onCellEditCommit) => {
+      const editColumns = [columns[0], { ...columns[1], editable: true, validate }];
+      return renderEditing(
+        <Table height={300} data={selectionData} columns={editColumns} onCellEditCommit={onCellEditCommit} />
+      );
+    };
+    const hasCellClass = (root, className) =>
+      root.root.findAll(node => typeof node.type === 'string' && String(node.props.className).includes(className))
+        .length > 0;
+    const deferred = () => {
+      let resolve, reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      return { promise, resolve, reject };
+    };
+
+    test('table saves the value after the async validation passed', async () => {
+      const validation = deferred();
+      const onCellEditCommit = jest.fn();
+      const root = renderValidating(() => validation.promise, onCellEditCommit);
+
+      commitEdit(root, 'x');
+      expect(hasCellClass(root, 'BaseTable__row-cell--pending')).toBe(true);
+      // the editing value is locked while pending
+      act(() => root.root.findByType('input').props.onChange({ target: { value: 'y' } }));
+      expect(root.root.findByType('input').props.value).toBe('x');
+      expect(onCellEditCommit).not.toHaveBeenCalled();
+
+      await act(async () => validation.resolve());
+      expect(onCellEditCommit).toHaveBeenCalledWith(expect.objectContaining({ rowKey: '1', value: 'x' }));
+      expect(root.root.findAllByType('input').length).toBe(0);
+    });
+
+    test('table keeps the editor open with the error of the failed async validation or saving', async () => {
+      const validation = deferred();
+      const saving = deferred();
+      const onCellEditCommit = jest.fn(() => saving.promise);
+      const root = renderValidating(value => (value === 'x' ? validation.promise : undefined), onCellEditCommit);
+
+      commitEdit(root, 'x');
+      await act(async () => validation.resolve('invalid'));
+      expect(hasCellClass(root, 'BaseTable__row-cell--invalid')).toBe(true);
+      expect(hasCellClass(root, 'BaseTable__row-cell--pending')).toBe(false);
+      expect(root.root.findByType('input').props.title).toBe('invalid');
+      expect(onCellEditCommit).not.toHaveBeenCalled();
+
+      commitEdit(root, 'y');
+      expect(hasCellClass(root, 'BaseTable__row-cell--pending')).toBe(true);
+      await act(async () => saving.reject(new Error('failed to save')));
+      expect(root.root.findByType('input').props.title).toBe('failed to save');
+      expect(hasCellClass(root, 'BaseTable__row-cell--pending')).toBe(false);
+    });
+
+    test('table shows the error thrown by validate or onCellEditCommit', () => {
+      const onCellEditCommit = jest.fn(() => {
+        throw new Error('failed to save');
+      });
+      const validate = value => {
+        if (value === 'x') throw new Error('failed to validate');
+      };
+      const root = renderValidating(validate, onCellEditCommit);
+
+      commitEdit(root, 'x');
+      expect(root.root.findByType('input').props.title).toBe('failed to validate');
+      commitEdit(root, 'y');
+      expect(root.root.findByType('input').props.title).toBe('failed to save');
+      expect(hasCellClass(root, 'BaseTable__row-cell--invalid')).toBe(true);
+    });
+
+    test('table validates the replayed edits and handles the failed saving', async () => {
+      const saving = deferred();
+      const onCellEditCommit = jest.fn(({ source }) => (source === 'redo' ? saving.promise : undefined));
+      // the original value is not valid anymore
+      const root = renderValidating(value => (value === '1' ? 'invalid' : undefined), onCellEditCommit);
+      const table = root.root.findByType(BaseTable).instance;
+      const getCalls = () => onCellEditCommit.mock.calls.map(([{ value, source }]) => [value, source]);
+
+      commitEdit(root, 'x');
+      act(() => table.undo());
+      expect(getCalls()).toEqual([['x', 'edit']]);
+
+      act(() => table.redo());
+      await act(async () => saving.reject(new Error('failed to save')));
+      expect(getCalls()).toEqual([
+        ['x', 'edit'],
+        ['x', 'redo'],
+      ]);
+      expect(root.root.findAllByType('input').length).toBe(0);
+    });
+  });
+});
+
+describe('Keyboard Navigation', function() {
+  const navColumns = [
+    { key: 'code', dataKey: 'code', width: 100, frozen: 'left' },
+    { key: 'name', dataKey: 'name', width: 200 },
+    { key: 'size', dataKey: 'size', width: 200 },
+  ];
+  const navData = Array.from({ length: 20 }, (_, i) => ({ id: String(i), code: String(i), name: `n${i}`, size: i }));
+
+  // the grid and the header are scrolled in the animation frames, which are not needed here
+  beforeEach(() => {
+    global.requestAnimationFrame = () => 0;
+    global.cancelAnimationFrame = () => {};
+  });
+  afterEach(() => {
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const renderTable = props => {
+    let root;
+    act(() => {
+      root = renderer.create(
+        <BaseTable width={300} height={300} fixed keyboardNavigable columns={navColumns} data={navData} {...props} />
+      );
+    });
+    // the rows are scrolled by the inner grid which measures the scrollbar in the document
+    jest.spyOn(root.root.findByType(BaseTable).instance, 'scrollToRow').mockImplementation(() => {});
+    return root;
+  };
+  const getTabbableCells = root =>
+    root.root.findAll(
+      node => typeof node.type === 'string' && node.props.role === 'gridcell' && node.props.tabIndex === 0
+    );
+  const getTable = root => root.root.findByType(BaseTable).instance;
+  const getActiveCell = root => {
+    const { rowKey, columnKey } = getTable(root).getActiveCell();
+    return [rowKey, columnKey];
+  };
+  // the key events come from the active cell, or the first cell before any cell is active
+  const pressKey = (root, key, options) => {
+    const activeCell = getTable(root).getActiveCell() || { rowKey: '0', columnKey: 'code' };
+    const rowIndex = navData.findIndex(rowData => rowData.id === activeCell.rowKey);
+    const target = {
+      dataset: { rowIndex: String(rowIndex), key: activeCell.columnKey },
+      getAttribute: () => 'gridcell',
+    };
+    const container = root.root.find(node => typeof node.type === 'string' && !!node.props.onKeyDown);
+    const event = { key, target, preventDefault: jest.fn(), ...options };
+    act(() => container.props.onKeyDown(event));
+    return event;
+  };
+  const getMainScrollLeft = root => {
+    const table = root.root.find(node => node.type === GridTable && /table-main/.test(node.props.className));
+    return table.findByType(FixedSizeGrid).instance.state.scrollLeft;
+  };
+
+  test('table moves the active cell by the arrow keys and Home/End with a single tabbable cell', () => {
+    const onActiveCellChange = jest.fn();
+    const root = renderTable({ onActiveCellChange });
+    const getTabbableKeys = () =>
+      getTabbableCells(root).map(cell => [cell.props['data-row-index'], cell.props['data-key']]);
+    // the first cell is tabbable before any cell is active
+    expect(getTabbableKeys()).toEqual([[0, 'code']]);
+
+    pressKey(root, 'ArrowDown');
+    pressKey(root, 'ArrowRight');
+    expect(getActiveCell(root)).toEqual(['1', 'name']);
+    expect(getTabbableKeys()).toEqual([[1, 'name']]);
+    expect(onActiveCellChange.mock.calls).toEqual([
+      [{ rowKey: '1', columnKey: 'code' }],
+      [{ rowKey: '1', columnKey: 'name' }],
+    ]);
+
+    // the active cell stays in the bounds
+    pressKey(root, 'ArrowUp');
+    const event = pressKey(root, 'ArrowUp');
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(getActiveCell(root)).toEqual(['0', 'name']);
+
+    pressKey(root, 'End');
+    expect(getActiveCell(root)).toEqual(['0', 'size']);
+    pressKey(root, 'End', { ctrlKey: true });
+    expect(getActiveCell(root)).toEqual(['19', 'size']);
+    expect(getTable(root).scrollToRow).toHaveBeenLastCalledWith(19);
+    pressKey(root, 'Home');
+    expect(getActiveCell(root)).toEqual(['19', 'code']);
+    pressKey(root, 'Home', { metaKey: true });
+    expect(getActiveCell(root)).toEqual(['0', 'code']);
+    expect(getTabbableKeys()).toEqual([[0, 'code']]);
+
+    // the other keys are left to the browser, e.g. Tab moves the focus out of the table
+    expect(pressKey(root, 'Tab').preventDefault).not.toHaveBeenCalled();
+    expect(getActiveCell(root)).toEqual(['0', 'code']);
+  });
+
+  test('table moves the active cell by a page of the visible rows', () => {
+    const root = renderTable();
+    const table = getTable(root);
+    // the rows of 50px in the body of 250px
+    const pageSize = table._visibleRowCount - 1;
+    expect(pageSize).toBe(4);
+
+    pressKey(root, 'PageDown');
+    expect(getActiveCell(root)).toEqual(['4', 'code']);
+    expect(table.scrollToRow).toHaveBeenLastCalledWith(4);
+    pressKey(root, 'PageDown');
+    pressKey(root, 'PageUp');
+    expect(getActiveCell(root)).toEqual(['4', 'code']);
+    pressKey(root, 'PageUp');
+    pressKey(root, 'PageUp');
+    expect(getActiveCell(root)).toEqual(['0', 'code']);
+  });
+
+  test('table scrolls the active column into view', () => {
+    const root = renderTable();
+    const table = getTable(root);
+
+    pressKey(root, 'ArrowRight');
+    expect(getMainScrollLeft(root)).toBe(0);
+    // the frozen column is on the left side, so the column is aligned to the right side of the viewport
+    pressKey(root, 'ArrowRight');
+    expect(getActiveCell(root)).toEqual(['0', 'size']);
+    expect(getMainScrollLeft(root)).toBe(200);
+
+    // the frozen column is always visible
+    pressKey(root, 'Home');
+    expect(getMainScrollLeft(root)).toBe(200);
+    // the column is aligned to the right side of the frozen column
+    pressKey(root, 'ArrowRight');
+    expect(getMainScrollLeft(root)).toBe(0);
+
+    act(() => table.scrollToLeft(50));
+    expect(getMainScrollLeft(root)).toBe(50);
+  });
+});
+
+describe('Range Dragging', function() {
+  const dragColumns = ['a', 'b', 'c', 'd'].map(key => ({ key, dataKey: key, width: 50, editable: key !== 'b' }));
+  const dragData = Array.from({ length: 10 }, (_, i) => ({
+    id: String(i),
+    a: (i + 1) * (i + 1),
+    b: `t${i}`,
+    c: 0.1,
+    d: 0.2,
+  }));
+
+  // the auto-scroll runs in the animation frames, which are run by the tests frame by frame
+  let frames;
+  const runFrame = () => act(() => frames.splice(0).forEach(callback => callback()));
+  beforeEach(() => {
+    frames = [];
+    global.requestAnimationFrame = callback => frames.push(callback);
+    global.cancelAnimationFrame = () => {};
+  });
+  afterEach(() => {
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+  });
+
+  const getMainScrollTop = root => {
+    const table = root.root.find(node => node.type === GridTable && /table-main/.test(node.props.className));
+    return table.findByType(FixedSizeGrid).instance.state.scrollTop;
+  };
+
+  // the pointer events are listened on the document, which finds the cell under the pointer
+  // by the position in the body of the 50px cells
+  const renderTable = props => {
+    let root;
+    let scrollToPosition;
+    const listeners = {};
+    // the grid is scrolled after the event, but the document is scrolled at once
+    const getScrollTop = () => {
+      const { calls } = scrollToPosition.mock;
+      return calls.length ? calls[calls.length - 1][0].scrollTop : 0;
+    };
+    const ownerDocument = {
+      addEventListener: (type, listener) => (listeners[type] = listener),
+      removeEventListener: type => delete listeners[type],
+      // the user-select styles are added already
+      getElementById: () => ({}),
+      elementFromPoint: (x, y) => {
+        const dataset = {
+          rowIndex: String(Math.floor((y + getScrollTop()) / 50)),
+          key: dragColumns[Math.floor(x / 50)].key,
+        };
+        return { closest: () => ({ dataset }) };
+      },
+    };
+    const body = { ownerDocument, getBoundingClientRect: () => ({ left: 0, top: 0, right: 200, bottom: 200 }) };
+    const container = { ownerDocument, querySelector: () => body, contains: () => true };
+    const createNodeMock = element => (/^BaseTable( |$)/.test(element.props.className) ? container : null);
+    act(() => {
+      root = renderer.create(
+        <BaseTable
+          width={200}
+          height={250}
+          columns={dragColumns}
+          data={dragData}
+          rangeSelectable
+          getScrollbarSize={() => 0}
+          {...props}
+        />,
+        { createNodeMock }
+      );
+    });
+    scrollToPosition = jest.spyOn(root.root.findByType(BaseTable).instance, 'scrollToPosition');
+    return { root, listeners };
+  };
+  const isFilling = node => typeof node.type === 'string' && /BaseTable__row-cell--filling/.test(node.props.className);
+
+  const dragFillHandle = ({ root, listeners }, from, to) => {
+    const handle = root.root.find(node => node.props.className === 'BaseTable__fill-handle');
+    const event = {
+      button: 0,
+      clientX: from[0],
+      clientY: from[1],
+      stopPropagation: jest.fn(),
+      preventDefault: jest.fn(),
+    };
+    act(() => handle.props.onMouseDown(event));
+    act(() => listeners.mousemove({ clientX: to[0], clientY: to[1] }));
+    const filling = root.root.findAll(isFilling).map(cell => [cell.props['data-row-index'], cell.props['data-key']]);
+    act(() => listeners.mouseup({}));
+    return filling;
+  };
+
+  test('table selects the range by dragging and scrolls down with the pointer out of the body', () => {
+    const onSelectedRangeChange = jest.fn();
+    const { root, listeners } = renderTable({ onSelectedRangeChange });
+    const cell = root.root.find(node => node.props['data-row-index'] === 1 && node.props['data-key'] === 'a');
+    const getRangeEnds = () => onSelectedRangeChange.mock.calls.map(([range]) => [range.endRowKey, range.endColumnKey]);
+
+    const currentTarget = { dataset: { rowIndex: '1', key: 'a' } };
+
+    // only the main button starts the selection
+    act(() => cell.props.onMouseDown({ button: 2, currentTarget }));
+    expect(onSelectedRangeChange).not.toHaveBeenCalled();
+
+    act(() => cell.props.onMouseDown({ button: 0, clientX: 25, clientY: 75, currentTarget }));
+    act(() => listeners.mousemove({ clientX: 125, clientY: 125 }));
+    expect(onSelectedRangeChange).toHaveBeenLastCalledWith({
+      startRowKey: '1',
+      endRowKey: '2',
+      startColumnKey: 'a',
+      endColumnKey: 'c',
+    });
+
+    // the pointer below the body is clamped to the last visible row, then each frame scrolls down
+    // by the distance of the pointer out of the body, at most 50px
+    act(() => listeners.mousemove({ clientX: 125, clientY: 230 }));
+    runFrame();
+    runFrame();
+    expect(getMainScrollTop(root)).toBe(60);
+    expect(getRangeEnds()).toEqual([
+      ['1', 'a'],
+      ['2', 'c'],
+      ['3', 'c'],
+      ['4', 'c'],
+      ['5', 'c'],
+    ]);
+    expect(onSelectedRangeChange.mock.calls.every(([range]) => range.startRowKey === '1')).toBe(true);
+
+    // the auto-scroll stops with the selection
+    act(() => listeners.mouseup({}));
+    runFrame();
+    expect(getMainScrollTop(root)).toBe(60);
+    expect(Object.keys(listeners)).toEqual([]);
+  });
+
+  test('table fills the series down by dragging the fill handle', () => {
+    const onCellsChange = jest.fn();
+    const onSelectedRangeChange = jest.fn();
+    const table = renderTable({
+      fillable: true,
+      defaultSelectedRange: { startRowKey: '0', endRowKey: '1', startColumnKey: 'a', endColumnKey: 'a' },
+      onCellsChange,
+      onSelectedRangeChange,
+    });
+
+    expect(dragFillHandle(table, [25, 75], [25, 175])).toEqual([
+      [2, 'a'],
+      [3, 'a'],
+    ]);
+    expect(onCellsChange.mock.calls).toEqual([
+      [
+        [
+          { rowKey: '2', columnKey: 'a', oldValue: 9, newValue: 7 },
+          { rowKey: '3', columnKey: 'a', oldValue: 16, newValue: 10 },
+        ],
+        { source: 'fill', rejected: [] },
+      ],
+    ]);
+    // the selected range grows to the filled cells and the document is released
+    expect(onSelectedRangeChange).toHaveBeenLastCalledWith({
+      startRowKey: '0',
+      endRowKey: '3',
+      startColumnKey: 'a',
+      endColumnKey: 'a',
+    });
+    expect(table.root.root.findAll(isFilling).length).toBe(0);
+    expect(Object.keys(table.listeners)).toEqual([]);
+  });
+
+  test('table fills the series to the left and skips the readonly cells', () => {
+    const onCellsChange = jest.fn();
+    const onSelectedRangeChange = jest.fn();
+    const table = renderTable({
+      fillable: true,
+      defaultSelectedRange: { startRowKey: '0', endRowKey: '1', startColumnKey: 'c', endColumnKey: 'd' },
+      onCellsChange,
+      onSelectedRangeChange,
+    });
+
+    expect(dragFillHandle(table, [175, 75], [25, 60])).toEqual([
+      [0, 'a'],
+      [0, 'b'],
+      [1, 'a'],
+      [1, 'b'],
+    ]);
+    // 0.2, 0.1 are continued to 0, -0.1 without the float errors
+    const [[changes, { source, rejected }]] = onCellsChange.mock.calls;
+    expect(source).toBe('fill');
+    expect(changes).toEqual([
+      { rowKey: '0', columnKey: 'a', oldValue: 1, newValue: -0.1 },
+      { rowKey: '1', columnKey: 'a', oldValue: 4, newValue: -0.1 },
+    ]);
+    expect(rejected).toEqual([
+      { rowKey: '0', columnKey: 'b', value: 0, reason: 'readonly' },
+      { rowKey: '1', columnKey: 'b', value: 0, reason: 'readonly' },
+    ]);
+    expect(onSelectedRangeChange).toHaveBeenLastCalledWith({
+      startRowKey: '0',
+      endRowKey: '1',
+      startColumnKey: 'a',
+      endColumnKey: 'd',
+    });
+  });
+});
+
+describe('Sorting', function() {
+  const sortColumns = columns.map(column => ({ ...column, sortable: true }));
+  const sortData = [
+    { id: '1', code: '1', name: '2' },
+    { id: '2', code: '2', name: '10' },
+    { id: '3', code: '3', name: '' },
+  ];
+  const clickHeader = (root, key, shiftKey = false, datasetKey = key) => {
+    const cell = root.root.findAll(node => node.props.role === 'gridcell' && node.props['data-key'] === key)[0];
+    act(() => cell.props.onClick({ shiftKey, currentTarget: { dataset: { key: datasetKey } } }));
+  };
+
+  test('table sorts the data by the uncontrolled sort state', () => {
+    const onColumnSort = jest.fn();
+    const root = render(
+      <Table
+        height={300}
+        data={sortData}
+        columns={sortColumns}
+        clientSort
+        defaultSortBy={{ key: 'code', order: 'desc' }}
+        onColumnSort={onColumnSort}
+      />
+    );
+    expect(getRowKeys(root)).toEqual(['3', '2', '1']);
+
+    clickHeader(root, 'code');
+    expect(getRowKeys(root)).toEqual(['1', '2', '3']);
+
+    // the numeric strings are compared naturally, and the empty values are put at the end
+    clickHeader(root, 'name');
+    expect(getRowKeys(root)).toEqual(['1', '2', '3']);
+    expect(onColumnSort.mock.calls.map(([{ key, order }]) => [key, order])).toEqual([
+      ['code', 'asc'],
+      ['name', 'asc'],
+    ]);
+    expect(sortData.map(rowData => rowData.id)).toEqual(['1', '2', '3']);
+  });
+
+  test('table without the client sort or a default sort state keeps the sort indicator on click', () => {
+    const onColumnSort = jest.fn();
+    const root = render(<Table height={300} data={sortData} columns={sortColumns} onColumnSort={onColumnSort} />);
+    const getSorting = () =>
+      root.root.findAll(node => /BaseTable__header-cell--sorting/.test(node.props.className)).length;
+
+    clickHeader(root, 'code');
+    expect(onColumnSort).toHaveBeenCalledWith(expect.objectContaining({ key: 'code', order: 'asc' }));
+    expect(getSorting()).toBe(0);
+    expect(getRowKeys(root)).toEqual(['1', '2', '3']);
+  });
+
+  test('table ignores the sort of an unknown column', () => {
+    const onColumnSort = jest.fn();
+    const root = render(<Table height={300} data={sortData} columns={sortColumns} onColumnSort={onColumnSort} />);
+    clickHeader(root, 'code', false, 'unknown');
+    expect(onColumnSort).not.toHaveBeenCalled();
+  });
+
+  test('table sorts the columns with the numeric keys', () => {
+    const numericColumns = [
+      { ...sortColumns[0], key: 0 },
+      { ...sortColumns[1], key: 1 },
+    ];
+    // the object keys are strings
+    const controlled = render(
+      <Table height={300} data={sortData} columns={numericColumns} clientSort sortState={{ 1: 'desc' }} />
+    );
+    expect(getRowKeys(controlled)).toEqual(['2', '1', '3']);
+
+    const root = render(<Table height={300} data={sortData} columns={numericColumns} clientSort />);
+    // the key from the dataset of the header cell is a string
+    clickHeader(root, 0, false, '0');
+    clickHeader(root, 0, false, '0');
+    expect(getRowKeys(root)).toEqual(['3', '2', '1']);
+    const sortingCells = root.root.findAll(node => /BaseTable__header-cell--sorting/.test(node.props.className));
+    expect(sortingCells.map(cell => cell.props['data-key'])).toEqual([0]);
+  });
+
+  test('table sorts the tree data with the children under their parents', () => {
+    const onRowExpand = jest.fn();
+    const getterCalls = [];
+    const treeColumns = [
+      sortColumns[0],
+      {
+        ...sortColumns[1],
+        dataGetter: ({ rowData, rowIndex }) => {
+          getterCalls.push([rowData.id, rowIndex]);
+          return rowData.name;
+        },
+      },
+    ];
+    const treeData = [
+      {
+        id: 'a',
+        code: 'a',
+        name: '2',
+        children: [
+          { id: 'a1', code: 'a1', name: '3' },
+          {
+            id: 'a2',
+            code: 'a2',
+            name: '1',
+            children: [
+              { id: 'a21', code: 'a21', name: '2' },
+              { id: 'a22', code: 'a22', name: '1' },
+            ],
+          },
+        ],
+      },
+      { id: 'b', code: 'b', name: '1', children: [{ id: 'b1', code: 'b1', name: '1' }] },
+    ];
+    const root = render(
+      <Table
+        height={300}
+        data={treeData}
+        columns={treeColumns}
+        expandColumnKey="code"
+        defaultExpandedRowKeys={['a', 'a2']}
+        clientSort
+        onRowExpand={onRowExpand}
+      />
+    );
+    expect(getRowKeys(root)).toEqual(['a', 'a1', 'a2', 'a21', 'a22', 'b']);
+
+    // the copied parents are still expanded
+    clickHeader(root, 'name');
+    expect(getRowKeys(root)).toEqual(['b', 'a', 'a2', 'a22', 'a21', 'a1']);
+    // the cell data is got with the index in the siblings to sort, not the rendered index
+    expect(getterCalls).toContainEqual(['a22', 1]);
+
+    act(() => getRows(root)[2].findByType(ExpandIcon).props.onExpand(false));
+    expect(onRowExpand).toHaveBeenCalledWith(expect.objectContaining({ rowKey: 'a2', expanded: false }));
+    expect(getRowKeys(root)).toEqual(['b', 'a', 'a2', 'a1']);
+
+    clickHeader(root, 'name');
+    expect(getRowKeys(root)).toEqual(['a', 'a1', 'a2', 'b']);
+    expect(treeData[0].children.map(rowData => rowData.id)).toEqual(['a1', 'a2']);
+  });
+
+  test('table sorts the data by the controlled sortState', () => {
+    const root = render(
+      <Table height={300} data={sortData} columns={sortColumns} clientSort sortState={{ name: 'desc', code: 'asc' }} />
+    );
+    expect(getRowKeys(root)).toEqual(['2', '1', '3']);
+
+    // the controlled state is not changed by clicking
+    clickHeader(root, 'name');
+    expect(getRowKeys(root)).toEqual(['2', '1', '3']);
+  });
+
+  test('table sorts by the ordered sort descriptors', () => {
+    const onColumnSort = jest.fn();
+    const root = render(
+      <Table
+        height={300}
+        data={sortData}
+        columns={sortColumns}
+        clientSort
+        defaultSortState={[{ key: 'code', order: 'desc' }]}
+        onColumnSort={onColumnSort}
+      />
+    );
+    const getPriorities = () => root.root.findAllByType(SortIndicator).map(node => node.props.sortPriority);
+    expect(getRowKeys(root)).toEqual(['3', '2', '1']);
+    expect(getPriorities()).toEqual([undefined, undefined]);
+
+    clickHeader(root, 'name', true);
+    expect(onColumnSort.mock.calls[0][0].sortState).toEqual([
+      { key: 'code', order: 'desc' },
+      { key: 'name', order: 'asc' },
+    ]);
+    expect(getPriorities()).toEqual([1, 2]);
+
+    clickHeader(root, 'name');
+    expect(onColumnSort.mock.calls[1][0].sortState).toEqual([{ key: 'name', order: 'desc' }]);
+    expect(getRowKeys(root)).toEqual(['2', '1', '3']);
+  });
+
+  test('table clears the sort by the sortCycle and starts with Column.defaultSortOrder', () => {
+    const onColumnSort = jest.fn();
+    const cycleColumns = sortColumns.map(column =>
+      column.key === 'code' ? { ...column, defaultSortOrder: 'desc' } : column
+    );
+    const root = render(
+      <Table
+        height={300}
+        data={sortData}
+        columns={cycleColumns}
+        clientSort
+        sortCycle={['asc', 'desc', null]}
+        defaultSortState={[]}
+        onColumnSort={onColumnSort}
+      />
+    );
+    clickHeader(root, 'code');
+    expect(getRowKeys(root)).toEqual(['3', '2', '1']);
+    clickHeader(root, 'code');
+    expect(getRowKeys(root)).toEqual(['1', '2', '3']);
+    clickHeader(root, 'code');
+    expect(onColumnSort.mock.calls.map(([{ order, sortState }]) => [order, sortState])).toEqual([
+      ['desc', [{ key: 'code', order: 'desc' }]],
+      ['asc', [{ key: 'code', order: 'asc' }]],
+      [null, []],
+    ]);
+  });
+});
+
+describe('Filtering', function() {
+  const filterColumns = [
+    { ...columns[0], frozen: 'left', filter: 'text' },
+    { ...columns[1], filter: { type: 'select', options: ['1', '2'] } },
+  ];
+  const getFilterCells = root =>
+    root.root.findAll(node => typeof node.type === 'string' && /BaseTable__filter-cell/.test(node.props.className));
+
+  test('table renders the filter row and filters the data by the uncontrolled filter state', () => {
+    const onFilterChange = jest.fn();
+    const root = render(
+      <Table fixed columns={filterColumns} clientFilter filterRowHeight={30} onFilterChange={onFilterChange} />
+    );
+    // the frozen column is rendered in the left table, and a placeholder in the main table
+    expect(getFilterCells(root).map(cell => cell.props['data-key'])).toEqual(['name', 'code']);
+    expect(root.root.findAllByType('input').length).toBe(1);
+
+    act(() => root.root.findByType('select').props.onChange({ target: { value: '2' } }));
+    expect(onFilterChange).toHaveBeenCalledWith(expect.objectContaining({ key: 'name', filterState: { name: '2' } }));
+    expect(getRowKeys(root)).toEqual(['2', '2']);
+
+    act(() => root.root.findByType('input').props.onChange({ target: { value: '1' } }));
+    expect(getRowKeys(root)).toEqual([]);
+
+    act(() => root.root.findByType('select').props.onChange({ target: { value: '' } }));
+    expect(onFilterChange.mock.calls[2][0].filterState).toEqual({ code: '1' });
+    expect(getRowKeys(root)).toEqual(['1', '1']);
+  });
+
+  test('table filters the rows by searchText and highlights the matches', () => {
+    const searchData = [
+      { id: '1', code: '1', name: 'apple' },
+      { id: '2', code: '2', name: 'Pineapple' },
+      { id: '3', code: '3', name: 'pear' },
+    ];
+    const cellRenderer = jest.fn(({ cellData }) => cellData);
+    const searchColumns = [columns[0], { ...columns[1], cellRenderer }];
+    const root = render(<Table height={300} data={searchData} columns={searchColumns} searchText="APP" />);
+    expect(getRowKeys(root)).toEqual(['1', '2']);
+    expect(cellRenderer.mock.calls.map(([{ matchRanges }]) => matchRanges)).toEqual([[[0, 3]], [[4, 7]]]);
+
+    act(() => root.update(<Table height={300} data={searchData} columns={columns} searchText="pine" />));
+    expect(getRowKeys(root)).toEqual(['2']);
+    expect(root.root.findByType('mark').children).toEqual(['Pine']);
+  });
+
+  test('table filters the rows by filterExpression and reports the invalid one', () => {
+    const expressionData = [
+      { id: '1', code: '1', name: 'apple', stock: { count: 3 } },
+      { id: '2', code: '2', name: 'pear', stock: { count: 12 } },
+      { id: '3', code: '3', name: 'plum', stock: { count: 0 } },
+    ];
+    const expressionColumns = [...columns, { key: 'count', dataKey: 'stock.count', width: 50, hidden: true }];
+    const onFilterExpressionError = jest.fn();
+    const renderTable = filterExpression => (
+      <Table
+        height={300}
+        data={expressionData}
+        columns={[...expressionColumns]}
+        filterExpression={filterExpression}
+        onFilterExpressionError={onFilterExpressionError}
+      />
+    );
+    const root = render(renderTable('name ~ "p" and not (count > 10 or stock.count = 0)'));
+    expect(getRowKeys(root)).toEqual(['1']);
+    expect(onFilterExpressionError).not.toHaveBeenCalled();
+
+    act(() => root.update(renderTable('name = ')));
+    expect(getRowKeys(root)).toEqual(['1', '2', '3']);
+    // the error is passed once though the columns are recreated
+    act(() => root.update(renderTable('name = ')));
+    expect(onFilterExpressionError).toHaveBeenCalledTimes(1);
+    const [{ filterExpression, error }] = onFilterExpressionError.mock.calls[0];
+    expect(filterExpression).toBe('name = ');
+    expect(error).toBeInstanceOf(FilterExpressionError);
+    expect(error.position).toBe(7);
+  });
+
+  test('getColumnFacets excludes the own filter of the column and feeds the select filter', () => {
+    const facetData = [
+      { id: '1', code: 'a', name: 'x' },
+      { id: '2', code: 'a', name: 'y' },
+      { id: '3', code: 'b', name: 'y' },
+    ];
+    const facetColumns = [
+      { ...columns[0], filter: 'select' },
+      { ...columns[1], filter: 'select' },
+    ];
+    const filterState = { code: 'a' };
+    const root = render(
+      <Table
+        data={facetData}
+        columns={facetColumns}
+        clientFilter
+        filterRowHeight={30}
+        defaultFilterState={filterState}
+      />
+    );
+    const table = root.root.findByType(BaseTable).instance;
+    expect(table.getColumnFacets('code')).toEqual([
+      { value: 'a', count: 2 },
+      { value: 'b', count: 1 },
+    ]);
+    expect(table.getColumnFacets('name')).toEqual([
+      { value: 'x', count: 1 },
+      { value: 'y', count: 1 },
+    ]);
+    expect(table.getColumnFacets('code')).toBe(table.getColumnFacets('code'));
+    const options = root.root.findAllByType('option').map(option => option.children.join(''));
+    expect(options).toEqual(['All', 'a (2)', 'b (1)', 'All', 'x (1)', 'y (1)']);
+  });
+
+  test('table keeps the ancestors of the matching rows and expands them temporarily', () => {
+    const onExpandedRowsChange = jest.fn();
+    const children = [
+      { id: '1-1', code: '1-1', name: 'apple' },
+      { id: '1-2', code: '1-2', name: 'pear' },
+    ];
+    const treeData = [
+      { id: '1', code: '1', name: 'fruits', children },
+      { id: '2', code: '2', name: 'nuts' },
+    ];
+    const renderTable = searchText => (
+      <Table
+        height={300}
+        data={treeData}
+        expandColumnKey="code"
+        searchText={searchText}
+        onExpandedRowsChange={onExpandedRowsChange}
+      />
+    );
+    const root = render(renderTable('apple'));
+    expect(getRowKeys(root)).toEqual(['1', '1-1']);
+
+    // collapsing the ancestor doesn't change `expandedRowKeys`
+    const expandIcon = root.root.findAll(node => node.props.expandable === true && !!node.props.onExpand)[0];
+    act(() => expandIcon.props.onExpand(false));
+    expect(getRowKeys(root)).toEqual(['1']);
+    expect(onExpandedRowsChange).not.toHaveBeenCalled();
+
+    act(() => root.update(renderTable('')));
+    expect(getRowKeys(root)).toEqual(['1', '2']);
+  });
+
+  test('table computes the tree selection states from the matching rows', () => {
+    const ref = React.createRef();
+    const children = [
+      { id: '1-1', code: '1-1', name: 'apple' },
+      { id: '1-2', code: '1-2', name: 'pear' },
+    ];
+    const treeData = [{ id: '1', code: '1', name: 'fruits', children }];
+    render(
+      <Table
+        ref={ref}
+        height={300}
+        data={treeData}
+        expandColumnKey="code"
+        selectionMode="tree"
+        defaultSelectedRowKeys={['1-1']}
+        searchText="apple"
+      />
+    );
+    // the parent is checked as its only matching child is selected, the same as the select-all checkbox
+    expect(ref.current.getRowSelectionState('1')).toEqual({ checked: true, indeterminate: false });
+    expect(ref.current.getSelectAllState()).toEqual({ checked: true, indeterminate: false });
+  });
+
+  test('table finds the cells in the collapsed rows and scrolls to them', () => {
+    const onExpandedRowsChange = jest.fn();
+    const ref = React.createRef();
+    const treeData = [
+      { id: '1', code: '1', name: 'fruits', children: [{ id: '1-1', code: '1-1', name: 'apple' }] },
+      { id: '2', code: '2', name: 'pineapple' },
+    ];
+    const root = render(
+      <Table
+        ref={ref}
+        height={300}
+        data={treeData}
+        expandColumnKey="code"
+        onExpandedRowsChange={onExpandedRowsChange}
+      />
+    );
+    const scrollToRow = jest.spyOn(ref.current, 'scrollToRow').mockImplementation(() => {});
+    const getFoundCells = () =>
+      root.root.findAll(node => typeof node.type === 'string' && /row-cell--found/.test(node.props.className));
+    const find = method => {
+      let result;
+      act(() => {
+        result = method();
+      });
+      return result;
+    };
+
+    expect(find(() => ref.current.find('APPLE'))).toEqual({ rowKey: '1-1', columnKey: 'name', index: 0, count: 2 });
+    expect(onExpandedRowsChange).toHaveBeenCalledWith(['1']);
+    expect(getRowKeys(root)).toEqual(['1', '1-1', '2']);
+    expect(scrollToRow).toHaveBeenLastCalledWith(1);
+    expect(getFoundCells().map(cell => cell.findAll(isCellText)[0].children[0])).toEqual(['apple']);
+
+    expect(find(() => ref.current.findNext())).toEqual(expect.objectContaining({ rowKey: '2', index: 1 }));
+    expect(scrollToRow).toHaveBeenLastCalledWith(2);
+    expect(find(() => ref.current.findNext())).toEqual(expect.objectContaining({ rowKey: '1-1', index: 0 }));
+    expect(find(() => ref.current.findPrevious())).toEqual(expect.objectContaining({ rowKey: '2', index: 1 }));
+    expect(find(() => ref.current.find('grape'))).toBe(null);
+    expect(getFoundCells().length).toBe(0);
+  });
+});
+
+describe('Grouping', function() {
+  const groupData = [
+    { id: '1', code: '1', name: 'a', region: 'EU' },
+    { id: '2', code: '2', name: 'b', region: 'US' },
+    { id: '3', code: '3', name: 'c', region: 'EU' },
+  ];
+  const isClass = className => node => typeof node.type === 'string' && node.props.className === className;
+  // the group rows are labeled with the value and the count, the other rows with their ids
+  const getRowLabels = root =>
+    getRows(root).map(row => {
+      const [label] = row.findAll(isClass('BaseTable__group-label'));
+      if (!label) return row.findAll(isCellText)[0].children[0];
+      const [count] = label.findAll(isClass('BaseTable__group-count'));
+      return count ? `${label.children[0]} ${count.children.join('')}` : label.children[0];
+    });
+
+  test('table renders the group rows and expands them with the stable keys', () => {
+    const onExpandedRowsChange = jest.fn();
+    const renderTable = tableData => (
+      <Table
+        height={300}
+        data={tableData}
+        groupBy={['region']}
+        expandColumnKey="code"
+        onExpandedRowsChange={onExpandedRowsChange}
+      />
+    );
+    const root = render(renderTable(groupData));
+    expect(getRowLabels(root)).toEqual(['EU (2)', 'US (1)']);
+    expect(getRows(root).every(row => /BaseTable__row--group/.test(row.props.className))).toBe(true);
+
+    act(() => root.root.findAllByType(ExpandIcon)[0].props.onExpand(true));
+    expect(onExpandedRowsChange).toHaveBeenLastCalledWith(['__group__[["region","EU"]]']);
+    expect(getRowLabels(root)).toEqual(['EU (2)', '1', '3', 'US (1)']);
+
+    // the group is kept expanded after the data changed
+    act(() => root.update(renderTable(groupData.concat({ id: '4', code: '4', name: 'd', region: 'EU' }))));
+    expect(getRowLabels(root)).toEqual(['EU (3)', '1', '3', '4', 'US (1)']);
+  });
+
+  test('table expands the groups and renders the labels in the first column without expandColumnKey', () => {
+    const root = render(<Table height={300} data={groupData} groupBy={['region']} />);
+    expect(getRowLabels(root)).toEqual(['EU (2)', '1', '3', 'US (1)', '2']);
+    expect(root.root.findAllByType(ExpandIcon).length).toBe(0);
+  });
+
+  test('table renders the aggregates in the group rows and the total row', () => {
+    const cellRenderer = jest.fn(({ cellData }) => cellData);
+    const aggregateColumns = [columns[0], { ...columns[1], aggregate: 'count', cellRenderer }];
+    const root = render(
+      <Table
+        height={300}
+        data={groupData}
+        columns={aggregateColumns}
+        groupBy={['region']}
+        expandColumnKey="code"
+        totalRow
+      />
+    );
+    expect(getRowLabels(root)).toEqual(['EU (2)', 'US (1)', 'Total']);
+    const calls = cellRenderer.mock.calls.map(([{ cellData, aggregates }]) => [cellData, aggregates.name]);
+    expect(calls).toEqual([
+      [2, 2],
+      [1, 1],
+      [3, 3],
+    ]);
+    expect(root.root.findByType(BaseTable).instance.getTotalAggregates()).toEqual({ name: 3 });
+  });
+
+  test('table renders the summary labels without replacing the aggregates without expandColumnKey', () => {
+    // the label and the aggregate text of each cell in the row
+    const getText = (cell, predicate) => {
+      const [node] = cell.findAll(predicate);
+      return node ? node.children[0] : '';
+    };
+    const getCellTexts = row =>
+      row
+        .findAll(node => typeof node.type === 'string' && node.props.role === 'gridcell')
+        .map(cell => [getText(cell, isClass('BaseTable__group-label')), getText(cell, isCellText)]);
+    const renderTable = aggregateColumns => {
+      const root = render(
+        <Table height={400} data={groupData} columns={aggregateColumns} groupBy={['region']} totalRow />
+      );
+      const rows = getRows(root);
+      return [getCellTexts(rows[0]), getCellTexts(rows[rows.length - 1])];
+    };
+
+    // the labels are in the first column without an aggregate
+    expect(renderTable([{ ...columns[0], aggregate: 'count' }, columns[1]])).toEqual([
+      [
+        ['', '2'],
+        ['EU', ''],
+      ],
+      [
+        ['', '3'],
+        ['Total', ''],
+      ],
+    ]);
+    // the labels are rendered before the aggregates if all the columns have them
+    expect(renderTable(columns.map(column => ({ ...column, aggregate: 'count' })))).toEqual([
+      [
+        ['EU', '2'],
+        ['', '2'],
+      ],
+      [
+        ['Total', '3'],
+        ['', '3'],
+      ],
+    ]);
+  });
+
+  test('table renders the footer row aligned with the columns and scrolls it horizontally', () => {
+    const footerRenderer = jest.fn(() => 'Total');
+    const footerColumns = [
+      { ...columns[0], frozen: 'left', footerRenderer },
+      { ...columns[1], width: 200, aggregate: 'count' },
+    ];
+    const footer = {};
+    const createNodeMock = element => (element.props.className === 'BaseTable__footer-main' ? footer : null);
+    let root;
+    act(() => {
+      root = renderer.create(<Table fixed data={groupData} columns={footerColumns} footerHeight={30} footerRow />, {
+        createNodeMock,
+      });
+    });
+    const getSection = className => root.root.find(isClass(className));
+    const getCells = className =>
+      getSection(className)
+        .findAll(node => typeof node.type === 'string' && node.props.role === 'gridcell')
+        .map(cell => cell.props['data-key']);
+    expect(getCells('BaseTable__footer-main')).toEqual(['name']);
+    expect(getCells('BaseTable__footer-frozen-left')).toEqual(['code']);
+    expect(getSection('BaseTable__footer-main').find(isClass('BaseTable__footer-cell-text')).children).toEqual(['3']);
+    expect(footerRenderer).toHaveBeenLastCalledWith(
+      expect.objectContaining({ column: footerColumns[0], aggregates: { name: 3 } })
+    );
+
+    // the header and the grid are scrolled in the animation frames, which are not needed here
+    global.requestAnimationFrame = () => 0;
+    global.cancelAnimationFrame = () => {};
+    try {
+      act(() => root.root.findByType(BaseTable).instance.scrollToLeft(30));
+      expect(footer.scrollLeft).toBe(30);
+    } finally {
+      delete global.requestAnimationFrame;
+      delete global.cancelAnimationFrame;
+    }
+  });
+});
@@ -0,0 +1,27 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { toString } from './utils';
+
+/**
+ * Default cell editor for BaseTable, a plain text input
+ */
+const CellEditor = ({ className, value, pending, error, onChange }) => (
+  <input
+    className={className}
+    value={toString(value)}
+    readOnly={pending}
+    title={error ? toString(error) : undefined}
+    aria-invalid={!!error}
+    onChange={event => onChange(event.target.value)}
+  />
+);
+
+CellEditor.propTypes = {
+  className: PropTypes.string,
+  value: PropTypes.any,
+  pending: PropTypes.bool,
+  error: PropTypes.node,
+  onChange: PropTypes.func,
+};
+
+export default CellEditor;
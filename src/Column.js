@@ -1,5 +1,8 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import SortOrder from './SortOrder';
+import FilterType from './FilterType';
+import AggregateType from './AggregateType';
 
 export const Alignment = {
   LEFT: 'left',
@@ -14,6 +17,9 @@ export const FrozenDirection = {
   NONE: false,
 };
 
+const FILTER_TYPES = [FilterType.TEXT, FilterType.NUMBER, FilterType.SELECT, FilterType.DATE_RANGE, FilterType.CUSTOM];
+const AGGREGATE_TYPES = Object.keys(AggregateType).map(key => AggregateType[key]);
+
 /**
  * Column for BaseTable
  */
@@ -87,16 +93,109 @@ Column.propTypes = {
    * Whether the column is sortable, defaults to false
    */
   sortable: PropTypes.bool,
+  /**
+   * The sort orders to cycle through by clicking the header cell, overrides the `sortCycle` of the table
+   */
+  sortDirections: PropTypes.arrayOf(PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC, null])),
+  /**
+   * The order to start with when sorting the column, e.g. `desc` for the numeric columns,
+   * the `sortCycle` of the table is reversed for the column if it starts with the other order
+   */
+  defaultSortOrder: PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC]),
+  /**
+   * Custom method to compare two rows for the built-in sorting, which compares in ascending order
+   * The handler is of the shape of `(rowDataA, rowDataB, { column, order }) => number`
+   */
+  sortMethod: PropTypes.func,
+  /**
+   * Custom comparator to compare the cell data of two rows for the built-in sorting, which compares in ascending order,
+   * defaults to compare numbers, dates and booleans by value, and others as natural strings, the empty values are put last,
+   * the cell data is got with the `rowIndex` in the sorted siblings rather than the rendered row index
+   * The handler is of the shape of `(cellDataA, cellDataB, { column, order }) => number`
+   */
+  comparator: PropTypes.func,
+  /**
+   * The filter of the column, it could be a filter type as a shorthand of `{ type }`,
+   * the filter is rendered in the filter row if `filterRowHeight` is set
+   */
+  filter: PropTypes.oneOfType([
+    PropTypes.oneOf(FILTER_TYPES),
+    PropTypes.shape({
+      /**
+       * The type of the filter, see `FilterType`
+       */
+      type: PropTypes.oneOf(FILTER_TYPES),
+      /**
+       * The options of the `select` filter, either the values or `{ value, label }`,
+       * the facets of the column are used if not provided, see `BaseTable.getColumnFacets`
+       */
+      options: PropTypes.array,
+      /**
+       * The placeholder of the filter input
+       */
+      placeholder: PropTypes.string,
+      /**
+       * Custom predicate to match the cell data, it's required for the `custom` filter
+       * The handler is of the shape of `(cellData, value, { column, rowData }) => boolean`
+       */
+      predicate: PropTypes.func,
+      /**
+       * Custom filter renderer to replace the default `ColumnFilter`
+       * The renderer receives props `{ columns, column, columnIndex, filter, value, container, onChange }`
+       */
+      renderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+    }),
+  ]),
+  /**
+   * The aggregate of the column rendered in the group rows and the total row, see `AggregateType`,
+   * or a custom function of the shape of `(values, { column, rows }) => *`
+   */
+  aggregate: PropTypes.oneOfType([PropTypes.oneOf(AGGREGATE_TYPES), PropTypes.func]),
   /**
    * Custom column cell renderer
-   * The renderer receives props `{ cellData, columns, column, columnIndex, rowData, rowIndex, container, isScrolling }`
+   * The renderer receives props `{ cellData, columns, column, columnIndex, rowData, rowIndex, selectionState, matchRanges, container, isScrolling }`,
+   * `selectionState` is the `{ checked, indeterminate }` state of the row,
+   * `matchRanges` is the `[[start, end]]` ranges of `searchText` in the cell data,
+   * for the group rows and the total row, `cellData` is the aggregate of the column and there is an extra `aggregates`
    */
   cellRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  /**
+   * Custom formatter to get the text while copying the cell to clipboard, defaults to the cell data
+   * The handler is of the shape of `({ cellData, columns, column, columnIndex, rowData, rowIndex }) => string`
+   */
+  copyFormatter: PropTypes.func,
+  /**
+   * Whether the cell is editable, could be a callback to return the editable state
+   * The callback is of the shape of `({ column, rowData, rowIndex }) => boolean`
+   */
+  editable: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+  /**
+   * Custom cell editor, defaults to a text input
+   * The editor receives props `{ value, pending, error, cellData, columns, column, columnIndex, rowData, rowIndex, container, onChange, onCommit, onCancel }`
+   */
+  editor: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  /**
+   * Custom validator for the edited value, returns an error message if the value is invalid, could return a Promise
+   * The handler is of the shape of `(value, { column, rowData, rowIndex, oldValue }) => string | Promise<string>`
+   */
+  validate: PropTypes.func,
+  /**
+   * Custom parser to convert the pasted text or the text from the default editor to the cell value,
+   * defaults to the text itself, the text is rejected if it throws
+   * The handler is of the shape of `(text, { column, rowData, rowIndex, oldValue }) => *`
+   */
+  parseValue: PropTypes.func,
   /**
    * Custom column header renderer
    * The renderer receives props `{ columns, column, columnIndex, headerIndex, container }`
    */
   headerRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
+  /**
+   * Custom column footer renderer, available only if `footerRow` is set for the table
+   * The renderer receives props `{ cellData, aggregates, columns, column, columnIndex, container }`,
+   * `cellData` is the aggregate of the column of the filtered data
+   */
+  footerRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
 };
 
 Column.Alignment = Alignment;
@@ -0,0 +1,99 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import FilterType from './FilterType';
+import { toString } from './utils';
+
+const EMPTY_RANGE = {};
+
+const getOption = option =>
+  option !== null && typeof option === 'object' ? option : { value: option, label: toString(option) };
+
+const getFacetOption = ({ value, count }) => ({ value, label: `${toString(value)} (${count})` });
+
+const RangeFilter = ({ className, type, range, minKey, maxKey, onChange }) => {
+  const parse = value => (type === 'number' && value !== '' ? Number(value) : value);
+  return (
+    <div className={className}>
+      <input
+        type={type}
+        placeholder="From"
+        value={toString(range[minKey])}
+        onChange={event => onChange({ ...range, [minKey]: parse(event.target.value) })}
+      />
+      <input
+        type={type}
+        placeholder="To"
+        value={toString(range[maxKey])}
+        onChange={event => onChange({ ...range, [maxKey]: parse(event.target.value) })}
+      />
+    </div>
+  );
+};
+
+RangeFilter.propTypes = {
+  className: PropTypes.string,
+  type: PropTypes.oneOf(['number', 'date']).isRequired,
+  range: PropTypes.object.isRequired,
+  minKey: PropTypes.string.isRequired,
+  maxKey: PropTypes.string.isRequired,
+  onChange: PropTypes.func,
+};
+
+/**
+ * Default column filter for BaseTable, renders the inputs by the type of the filter
+ */
+const ColumnFilter = ({ className, column, filter, value, container, onChange }) => {
+  const { type, options, placeholder } = filter;
+
+  if (type === FilterType.NUMBER || type === FilterType.DATE_RANGE) {
+    const number = type === FilterType.NUMBER;
+    return (
+      <RangeFilter
+        className={className}
+        type={number ? 'number' : 'date'}
+        range={value || EMPTY_RANGE}
+        minKey={number ? 'min' : 'start'}
+        maxKey={number ? 'max' : 'end'}
+        onChange={onChange}
+      />
+    );
+  }
+
+  if (type === FilterType.SELECT) {
+    // the options are the facets of the column if not provided
+    const facets = !options && container ? container.getColumnFacets(column.key) : null;
+    const selectOptions = facets ? facets.map(getFacetOption) : (options || []).map(getOption);
+    return (
+      <div className={className}>
+        <select value={toString(value)} onChange={event => onChange(event.target.value)}>
+          <option value="">{placeholder || 'All'}</option>
+          {selectOptions.map(option => (
+            <option key={toString(option.value)} value={toString(option.value)}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  // there is no built-in input for the custom filter without a `renderer`
+  if (type === FilterType.CUSTOM) return null;
+
+  return (
+    <div className={className}>
+      <input placeholder={placeholder} value={toString(value)} onChange={event => onChange(event.target.value)} />
+    </div>
+  );
+};
+
+ColumnFilter.propTypes = {
+  className: PropTypes.string,
+  column: PropTypes.object,
+  filter: PropTypes.object.isRequired,
+  value: PropTypes.any,
+  container: PropTypes.object,
+  onChange: PropTypes.func,
+};
+
+export default ColumnFilter;
@@ -106,6 +106,24 @@ export default class ColumnManager {
     });
   }
 
+  hasEditableColumns() {
+    return this._cache('hasEditableColumns', () => {
+      return this.getVisibleColumns().some(column => !!column.editable);
+    });
+  }
+
+  getOrderedColumns() {
+    return this._cache('orderedColumns', () => {
+      // frozen columns are rendered on the sides of the table
+      if (!this.hasFrozenColumns()) return this.getVisibleColumns();
+      return [
+        ...this.getLeftFrozenColumns(),
+        ...this.getVisibleColumns().filter(column => !column.frozen),
+        ...this.getRightFrozenColumns(),
+      ];
+    });
+  }
+
   getColumn(key) {
     const idx = this._columns.findIndex(column => column.key === key);
     return this._columns[idx];
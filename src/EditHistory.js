@@ -0,0 +1,62 @@
+/**
+ * Undo/redo stacks of the change batches made by the table
+ *
+ * Each entry is of the shape of `{ source, changes }`, `changes` is an array of `{ rowKey, columnKey, oldValue, newValue }`
+ */
+export default class EditHistory {
+  constructor(limit) {
+    this._limit = limit;
+    this.clear();
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  push(entry) {
+    if (!entry.changes.length) return;
+
+    this._undoStack.push(entry);
+    if (this._undoStack.length > this._limit) this._undoStack.shift();
+    // a new change makes the undone changes unreachable
+    this._redoStack = [];
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Pop the last entry and return it with the inverse changes
+   */
+  undo() {
+    const entry = this._undoStack.pop();
+    if (!entry) return null;
+
+    this._redoStack.push(entry);
+    return {
+      ...entry,
+      changes: entry.changes.map(({ oldValue, newValue, ...rest }) => ({
+        ...rest,
+        oldValue: newValue,
+        newValue: oldValue,
+      })),
+    };
+  }
+
+  /**
+   * Pop the last undone entry and return it
+   */
+  redo() {
+    const entry = this._redoStack.pop();
+    if (!entry) return null;
+
+    this._undoStack.push(entry);
+    return entry;
+  }
+}
@@ -0,0 +1,98 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+const FOCUSABLE_SELECTOR = 'input, textarea, select, [tabindex], [contenteditable="true"]';
+
+function stopPropagation(event) {
+  event.stopPropagation();
+}
+
+/**
+ * Container of the cell editor for BaseTable, commits the edit on Enter, Tab or blur, and cancels it on Escape
+ */
+class EditingCell extends React.PureComponent {
+  constructor(props) {
+    super(props);
+
+    this._setRef = this._setRef.bind(this);
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleBlur = this._handleBlur.bind(this);
+  }
+
+  componentDidMount() {
+    const { activeElement, body } = this._ref.ownerDocument;
+    // focus the editor when entering the edit mode from the cell, or re-mounting after being virtualized away,
+    // but don't steal the focus from the other elements
+    if (activeElement && activeElement !== body && !activeElement.contains(this._ref)) return;
+
+    const node = this._ref.querySelector(FOCUSABLE_SELECTOR);
+    if (!node) return;
+
+    node.focus({ preventScroll: true });
+    // move the caret to the end, e.g. after the editing is started by typing
+    if (typeof node.selectionStart === 'number') {
+      node.selectionStart = node.selectionEnd = node.value.length;
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true;
+  }
+
+  render() {
+    const { className, children } = this.props;
+    return (
+      <div
+        ref={this._setRef}
+        className={className}
+        onKeyDown={this._handleKeyDown}
+        onBlur={this._handleBlur}
+        // prevent the range selection and re-entering the edit mode
+        onMouseDown={stopPropagation}
+        onDoubleClick={stopPropagation}
+      >
+        {children}
+      </div>
+    );
+  }
+
+  _setRef(ref) {
+    this._ref = ref;
+  }
+
+  _handleKeyDown(event) {
+    switch (event.key) {
+      case 'Enter':
+        event.preventDefault();
+        this.props.onCommit(undefined, { rowOffset: event.shiftKey ? -1 : 1 });
+        break;
+      case 'Tab':
+        event.preventDefault();
+        this.props.onCommit(undefined, { columnOffset: event.shiftKey ? -1 : 1 });
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.props.onCancel();
+        break;
+      default:
+    }
+  }
+
+  _handleBlur(event) {
+    // the editor is removed, e.g. virtualized away while scrolling, the editing value is kept by the table
+    if (this._unmounted) return;
+    // the focus moves inside the editor
+    if (this._ref.contains(event.relatedTarget)) return;
+
+    this.props.onCommit(undefined, { refocus: false });
+  }
+}
+
+EditingCell.propTypes = {
+  className: PropTypes.string,
+  children: PropTypes.node,
+  onCommit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default EditingCell;
@@ -0,0 +1,27 @@
+/**
+ * Filter type for `Column.filter`
+ */
+const FilterType = {
+  /**
+   * Match the cell data containing the text, case-insensitively
+   */
+  TEXT: 'text',
+  /**
+   * Match the numeric cell data in the range of `{ min, max }`, both ends are inclusive and optional
+   */
+  NUMBER: 'number',
+  /**
+   * Match the cell data equal to the selected one of `options`
+   */
+  SELECT: 'select',
+  /**
+   * Match the cell data of dates in the range of `{ start, end }`, both ends are inclusive and optional
+   */
+  DATE_RANGE: 'dateRange',
+  /**
+   * Match the cell data by the `predicate` of the filter
+   */
+  CUSTOM: 'custom',
+};
+
+export default FilterType;
@@ -50,7 +50,7 @@ class GridTable extends React.PureComponent {
 
   scrollToLeft(scrollLeft) {
     this.headerRef && this.headerRef.scrollTo(scrollLeft);
-    this.bodyRef && this.bodyRef.scrollToPosition({ scrollLeft });
+    this.bodyRef && this.bodyRef.scrollTo({ scrollLeft });
   }
 
   scrollToRow(rowIndex = 0, align = 'auto') {
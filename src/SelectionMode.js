@@ -0,0 +1,19 @@
+/**
+ * Selection mode for BaseTable
+ */
+const SelectionMode = {
+  /**
+   * Only one row could be selected at a time
+   */
+  SINGLE: 'single',
+  /**
+   * Multiple rows could be selected via Ctrl/Cmd-click and Shift-click
+   */
+  MULTIPLE: 'multiple',
+  /**
+   * Selecting a row selects all its descendants in the tree data, and a parent could be partially selected
+   */
+  TREE: 'tree',
+};
+
+export default SelectionMode;
@@ -7,7 +7,7 @@ import SortOrder from './SortOrder';
 /**
  * default SortIndicator for BaseTable
  */
-const SortIndicator = ({ sortOrder, className, style }) => {
+const SortIndicator = ({ sortOrder, sortPriority, className, style }) => {
   const cls = cn('BaseTable__sort-indicator', className, {
     'BaseTable__sort-indicator--descending': sortOrder === SortOrder.DESC,
   });
@@ -16,7 +16,7 @@ const SortIndicator = ({ sortOrder, className, style }) => {
       className={cls}
       style={{
         userSelect: 'none',
-        width: '16px',
+        width: sortPriority ? 'auto' : '16px',
         height: '16px',
         lineHeight: '16px',
         textAlign: 'center',
@@ -24,12 +24,17 @@ const SortIndicator = ({ sortOrder, className, style }) => {
       }}
     >
       {sortOrder === SortOrder.DESC ? '\u2193' : '\u2191'}
+      {sortPriority && <sup className="BaseTable__sort-priority">{sortPriority}</sup>}
     </div>
   );
 };
 
 SortIndicator.propTypes = {
   sortOrder: PropTypes.oneOf([SortOrder.ASC, SortOrder.DESC]),
+  /**
+   * The 1-based priority of the column if sorted by multiple columns via an array `sortState`
+   */
+  sortPriority: PropTypes.number,
   className: PropTypes.string,
   style: PropTypes.object,
 };
@@ -2,12 +2,28 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { toString } from './utils';
 
+// wrap the matched parts of the text in `<mark>`
+const highlight = (text, matchRanges) => {
+  const parts = [];
+  let lastIndex = 0;
+  matchRanges.forEach(([start, end]) => {
+    if (start > lastIndex) parts.push(text.slice(lastIndex, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    lastIndex = end;
+  });
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+  return parts;
+};
+
 /**
  * Cell component for BaseTable
  */
-const TableCell = ({ className, cellData, column, columnIndex, rowData, rowIndex }) => (
-  <div className={className}>{React.isValidElement(cellData) ? cellData : toString(cellData)}</div>
-);
+const TableCell = ({ className, cellData, column, columnIndex, rowData, rowIndex, matchRanges }) => {
+  if (React.isValidElement(cellData)) return <div className={className}>{cellData}</div>;
+
+  const text = toString(cellData);
+  return <div className={className}>{matchRanges && matchRanges.length ? highlight(text, matchRanges) : text}</div>;
+};
 
 TableCell.propTypes = {
   className: PropTypes.string,
@@ -16,6 +32,7 @@ TableCell.propTypes = {
   columnIndex: PropTypes.number,
   rowData: PropTypes.object,
   rowIndex: PropTypes.number,
+  matchRanges: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
 };
 
 export default TableCell;
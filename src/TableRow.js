@@ -54,9 +54,16 @@ class TableRow extends React.PureComponent {
       tagName: Tag,
       // omit the following from rest
       rowKey,
+      selectedColumnKeys,
+      fillColumnKeys,
+      activeColumnKey,
+      editingCell,
+      searchText,
+      foundColumnKey,
       getIsResetting,
       onRowHover,
       onRowExpand,
+      onRowSelect,
       onRowHeightChange,
       ...rest
     } = this.props;
@@ -124,7 +131,7 @@ class TableRow extends React.PureComponent {
   }
 
   _getEventHandlers(handlers = {}) {
-    const { rowData, rowIndex, rowKey, onRowHover } = this.props;
+    const { rowData, rowIndex, rowKey, onRowHover, onRowSelect } = this.props;
     const eventHandlers = {};
     Object.keys(handlers).forEach(eventKey => {
       const callback = handlers[eventKey];
@@ -161,6 +168,15 @@ class TableRow extends React.PureComponent {
       };
     }
 
+    if (onRowSelect) {
+      const clickHandler = eventHandlers['onClick'];
+      eventHandlers['onClick'] = event => {
+        clickHandler && clickHandler(event);
+        // the row handler could call `event.preventDefault()` to skip the selection
+        if (!event.defaultPrevented) onRowSelect({ rowData, rowIndex, rowKey, event });
+      };
+    }
+
     return eventHandlers;
   }
 }
@@ -180,6 +196,12 @@ TableRow.propTypes = {
   expandColumnKey: PropTypes.string,
   depth: PropTypes.number,
   rowEventHandlers: PropTypes.object,
+  selectedColumnKeys: PropTypes.array,
+  fillColumnKeys: PropTypes.array,
+  activeColumnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  editingCell: PropTypes.object,
+  searchText: PropTypes.string,
+  foundColumnKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
   rowRenderer: PropTypes.oneOfType([PropTypes.func, PropTypes.element]),
   cellRenderer: PropTypes.func,
   expandIconRenderer: PropTypes.func,
@@ -187,6 +209,7 @@ TableRow.propTypes = {
   getIsResetting: PropTypes.func,
   onRowHover: PropTypes.func,
   onRowExpand: PropTypes.func,
+  onRowSelect: PropTypes.func,
   onRowHeightChange: PropTypes.func,
   tagName: PropTypes.elementType,
 };
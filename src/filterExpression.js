@@ -0,0 +1,225 @@
+import { toString, compareValues, getCellData } from './utils';
+
+/**
+ * The error thrown for an invalid filter expression, `position` is the index of the character where it occurs
+ */
+export class FilterExpressionError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'FilterExpressionError';
+    this.position = position;
+  }
+}
+
+const OPERATORS = ['!=', '!~', '>=', '<=', '==', '=', '>', '<', '~'];
+const KEYWORDS = ['and', 'or', 'not'];
+const LITERALS = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null],
+]);
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/;
+const NUMBER_REGEX = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+function readString(expression, start) {
+  const quote = expression[start];
+  let value = '';
+  for (let i = start + 1; i < expression.length; i++) {
+    const char = expression[i];
+    if (char === quote) return { value, end: i + 1 };
+    if (char === '\\' && i + 1 < expression.length) {
+      value += expression[++i];
+    } else {
+      value += char;
+    }
+  }
+  throw new FilterExpressionError('Unterminated string', start);
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let index = 0;
+  while (index < expression.length) {
+    const char = expression[index];
+    const rest = expression.slice(index);
+    const position = index;
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char, position });
+      index++;
+    } else if (char === '"' || char === "'") {
+      const { value, end } = readString(expression, index);
+      tokens.push({ type: 'literal', value, position });
+      index = end;
+    } else if (NUMBER_REGEX.test(rest)) {
+      const [text] = NUMBER_REGEX.exec(rest);
+      tokens.push({ type: 'literal', value: Number(text), position });
+      index += text.length;
+    } else if (IDENTIFIER_REGEX.test(rest)) {
+      const [text] = IDENTIFIER_REGEX.exec(rest);
+      const word = text.toLowerCase();
+      if (KEYWORDS.indexOf(word) >= 0) tokens.push({ type: word, value: text, position });
+      else if (LITERALS.has(word)) tokens.push({ type: 'literal', value: LITERALS.get(word), position });
+      else tokens.push({ type: 'identifier', value: text, position });
+      index += text.length;
+    } else {
+      const operator = OPERATORS.find(x => rest.startsWith(x));
+      if (!operator) throw new FilterExpressionError(`Unexpected character '${char}'`, position);
+      tokens.push({ type: 'operator', value: operator === '==' ? '=' : operator, position });
+      index += operator.length;
+    }
+  }
+  tokens.push({ type: 'end', value: '', position: expression.length });
+  return tokens;
+}
+
+function unexpected(token) {
+  if (token.type === 'end') return new FilterExpressionError('Unexpected end of expression', token.position);
+  return new FilterExpressionError(`Unexpected '${token.value}'`, token.position);
+}
+
+/**
+ * Parse the filter expression into a syntax tree, the grammar is
+ *
+ * ```
+ * expression := and ('or' and)*
+ * and        := not ('and' not)*
+ * not        := 'not' not | '(' expression ')' | identifier operator literal
+ * ```
+ *
+ * The nodes are of the shape of `{ type: 'or' | 'and', left, right }`, `{ type: 'not', operand }`
+ * and `{ type: 'comparison', identifier, operator, value, position }`, it's `null` for an empty expression
+ */
+export function parseFilterExpression(expression) {
+  const tokens = tokenize(expression || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) throw unexpected(token);
+    return token;
+  };
+
+  let parseOr;
+  const parseComparison = () => {
+    const { value: identifier, position } = expect('identifier');
+    const { value: operator } = expect('operator');
+    const { value } = expect('literal');
+    return { type: 'comparison', identifier, operator, value, position };
+  };
+  const parseNot = () => {
+    const token = peek();
+    if (token.type === 'not') {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    if (token.type === '(') {
+      next();
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return parseComparison();
+  };
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek().type === 'and') {
+      next();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+  parseOr = () => {
+    let node = parseAnd();
+    while (peek().type === 'or') {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  if (peek().type === 'end') return null;
+  const tree = parseOr();
+  expect('end');
+  return tree;
+}
+
+function isEmptyCellData(cellData) {
+  return cellData === null || cellData === undefined || cellData === '';
+}
+
+function compare(operator, cellData, value) {
+  if (operator === '~' || operator === '!~') {
+    const contains = toString(cellData).toLowerCase().indexOf(toString(value).toLowerCase()) >= 0;
+    return operator === '~' ? contains : !contains;
+  }
+
+  let result;
+  if (value === null) {
+    // `null` stands for the empty cells, which could be only checked for equality
+    result = isEmptyCellData(cellData) ? 0 : NaN;
+  } else if (isEmptyCellData(cellData)) {
+    result = NaN;
+  } else if (typeof value === 'number') {
+    result = (typeof cellData === 'number' ? cellData : parseFloat(cellData)) - value;
+  } else if (typeof value === 'boolean') {
+    result = toString(cellData) === String(value) ? 0 : NaN;
+  } else if (operator === '=' || operator === '!=') {
+    result = toString(cellData).toLowerCase() === value.toLowerCase() ? 0 : NaN;
+  } else {
+    result = compareValues(toString(cellData), value);
+  }
+
+  switch (operator) {
+    case '=':
+      return result === 0;
+    case '!=':
+      return result !== 0;
+    case '>':
+      return result > 0;
+    case '>=':
+      return result >= 0;
+    case '<':
+      return result < 0;
+    default:
+      return result <= 0;
+  }
+}
+
+/**
+ * Compile the filter expression into a predicate of the rows, e.g. `status = "open" and age > 30 or name ~ "smi"`,
+ * the identifiers are resolved to the columns by `key` or `dataKey`, then compared with the cell data,
+ * it's `null` for an empty expression, and a `FilterExpressionError` is thrown if the expression is invalid
+ */
+export function compileFilterExpression(expression, columns) {
+  const compile = node => {
+    if (node.type === 'not') {
+      const operand = compile(node.operand);
+      return (rowData, rowIndex) => !operand(rowData, rowIndex);
+    }
+    if (node.type === 'and' || node.type === 'or') {
+      const left = compile(node.left);
+      const right = compile(node.right);
+      return node.type === 'and'
+        ? (rowData, rowIndex) => left(rowData, rowIndex) && right(rowData, rowIndex)
+        : (rowData, rowIndex) => left(rowData, rowIndex) || right(rowData, rowIndex);
+    }
+
+    const { identifier, operator, value, position } = node;
+    let columnIndex = columns.findIndex(column => String(column.key) === identifier);
+    if (columnIndex < 0) columnIndex = columns.findIndex(column => column.dataKey === identifier);
+    if (columnIndex < 0) throw new FilterExpressionError(`Unknown column '${identifier}'`, position);
+
+    const column = columns[columnIndex];
+    return (rowData, rowIndex) =>
+      compare(operator, getCellData({ columns, column, columnIndex, rowData, rowIndex }), value);
+  };
+
+  const tree = parseFilterExpression(expression);
+  return tree ? compile(tree) : null;
+}
@@ -0,0 +1,61 @@
+import { parseFilterExpression, compileFilterExpression } from './filterExpression';
+
+const columns = [
+  { key: 'status', dataKey: 'status' },
+  { key: 'age', dataKey: 'profile.age' },
+  { key: 'name', dataKey: 'name' },
+  { key: 'tag', dataGetter: ({ rowData }) => rowData.tags.join(',') },
+];
+
+const data = [
+  { id: 1, status: 'Open', name: 'Smith', profile: { age: 42 }, tags: ['a'] },
+  { id: 2, status: 'open', name: 'Jones', profile: { age: 25 }, tags: ['b'] },
+  { id: 3, status: 'closed', name: 'Smits', profile: { age: 31 }, tags: [] },
+  { id: 4, status: '', name: 'Brown', profile: {}, tags: ['a', 'b'] },
+];
+
+const filter = expression => data.filter(compileFilterExpression(expression, columns)).map(x => x.id);
+
+const getError = expression => {
+  try {
+    compileFilterExpression(expression, columns);
+  } catch (error) {
+    return [error.message, error.position];
+  }
+  return null;
+};
+
+describe('filterExpression', function() {
+  test('parseFilterExpression gives `and` precedence over `or`', () => {
+    expect(parseFilterExpression('a = 1 or b != "x" and not c ~ \'y\'')).toEqual({
+      type: 'or',
+      left: { type: 'comparison', identifier: 'a', operator: '=', value: 1, position: 0 },
+      right: {
+        type: 'and',
+        left: { type: 'comparison', identifier: 'b', operator: '!=', value: 'x', position: 9 },
+        right: {
+          type: 'not',
+          operand: { type: 'comparison', identifier: 'c', operator: '~', value: 'y', position: 26 },
+        },
+      },
+    });
+    expect(parseFilterExpression('  ')).toBe(null);
+  });
+
+  test('compileFilterExpression resolves the identifiers to the columns by key or dataKey', () => {
+    expect(filter('status = "open" and age > 30 or name ~ "smi"')).toEqual([1, 3]);
+    expect(filter('profile.age >= 31 and (status = "closed" or tag ~ "A")')).toEqual([1, 3]);
+    expect(filter('not (status = null) and age < 40')).toEqual([2, 3]);
+    expect(filter('status = NULL or name !~ "s"')).toEqual([4]);
+    expect(compileFilterExpression('', columns)).toBe(null);
+  });
+
+  test('compileFilterExpression reports the errors with positions', () => {
+    expect(getError('status = "open')).toEqual(['Unterminated string at position 9', 9]);
+    expect(getError('status = "open" and')).toEqual(['Unexpected end of expression at position 19', 19]);
+    expect(getError('age > 30 name')).toEqual(["Unexpected 'name' at position 9", 9]);
+    expect(getError('(age > 30')).toEqual(['Unexpected end of expression at position 9', 9]);
+    expect(getError('age # 30')).toEqual(["Unexpected character '#' at position 4", 4]);
+    expect(getError('age > 1 or stauts = "open"')).toEqual(["Unknown column 'stauts' at position 11", 11]);
+  });
+});
@@ -2,9 +2,14 @@ export { default } from './BaseTable';
 
 export { default as Column, Alignment, FrozenDirection } from './Column';
 export { default as SortOrder } from './SortOrder';
+export { default as SelectionMode } from './SelectionMode';
+export { default as FilterType } from './FilterType';
+export { default as AggregateType } from './AggregateType';
 export { default as AutoResizer } from './AutoResizer';
 export { default as TableHeader } from './TableHeader';
 export { default as TableRow } from './TableRow';
+export { default as ColumnFilter } from './ColumnFilter';
+export { parseFilterExpression, compileFilterExpression, FilterExpressionError } from './filterExpression';
 
 export {
   renderElement,
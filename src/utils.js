@@ -1,5 +1,9 @@
 import React from 'react';
 
+import SortOrder from './SortOrder';
+import FilterType from './FilterType';
+import AggregateType from './AggregateType';
+
 export function renderElement(renderer, props) {
   if (React.isValidElement(renderer)) {
     if (!props) return renderer;
@@ -120,6 +124,72 @@ export function flattenOnKeys(tree, keys, depthMap = {}, dataKey = 'id') {
   return array;
 }
 
+// get the keys of all the rows in the tree data, including the collapsed ones
+export function getAllRowKeys(tree, dataKey = 'id') {
+  const keys = [];
+  const visit = item => {
+    keys.push(item[dataKey]);
+    if (hasChildren(item)) item.children.forEach(visit);
+  };
+  tree.forEach(visit);
+  return keys;
+}
+
+const UNCHECKED = { checked: false, indeterminate: false };
+const CHECKED = { checked: true, indeterminate: false };
+const INDETERMINATE = { checked: false, indeterminate: true };
+
+// compute the selection state of each row in the tree data, including the collapsed ones,
+// a parent is checked if all its children are checked, a selected parent checks all its descendants
+export function getTreeSelectionState(tree, selectedRowKeys, dataKey = 'id') {
+  const keysSet = new Set(selectedRowKeys);
+  const stateMap = new Map();
+
+  const visit = (item, parentSelected) => {
+    const selected = parentSelected || keysSet.has(item[dataKey]);
+    let state;
+    if (hasChildren(item)) {
+      // visit all the children to fill the map
+      const states = item.children.map(child => visit(child, selected));
+      if (states.every(x => x === CHECKED)) state = CHECKED;
+      else if (states.some(x => x !== UNCHECKED)) state = INDETERMINATE;
+      else state = UNCHECKED;
+    } else {
+      state = selected ? CHECKED : UNCHECKED;
+    }
+    stateMap.set(item[dataKey], state);
+    return state;
+  };
+  tree.forEach(item => visit(item, false));
+
+  return stateMap;
+}
+
+// select or deselect the row with all its descendants in the tree data, and update its ancestors
+export function getTreeSelectedRowKeys(tree, selectedRowKeys, rowKey, selected, dataKey = 'id') {
+  const stateMap = getTreeSelectionState(tree, selectedRowKeys, dataKey);
+  const checkedKeys = [];
+
+  const visit = (item, value) => {
+    const itemValue = item[dataKey] === rowKey ? selected : value;
+    let checked;
+    if (hasChildren(item)) {
+      checked = item.children.map(child => visit(child, itemValue)).every(Boolean);
+    } else {
+      checked = itemValue !== undefined ? itemValue : stateMap.get(item[dataKey]) === CHECKED;
+    }
+    if (checked) checkedKeys.push(item[dataKey]);
+    return checked;
+  };
+  tree.forEach(item => visit(item, undefined));
+
+  const checkedSet = new Set(checkedKeys);
+  // keep the order of the existing keys, and the keys not in the tree
+  const nextSelectedRowKeys = selectedRowKeys.filter(key => !stateMap.has(key) || checkedSet.has(key));
+  const existingSet = new Set(nextSelectedRowKeys);
+  return nextSelectedRowKeys.concat(checkedKeys.filter(key => !existingSet.has(key)));
+}
+
 // Babel7 changed the behavior of @babel/plugin-transform-spread in https://github.com/babel/babel/pull/6763
 // [...array] is transpiled to array.concat() while it was [].concat(array) before
 // this change breaks immutable array(seamless-immutable), [...array] should always return mutable array
@@ -130,6 +200,53 @@ export function cloneArray(array) {
 
 export function noop() {}
 
+export function isArrayEqual(arrA, arrB) {
+  if (arrA === arrB) return true;
+  if (arrA.length !== arrB.length) return false;
+  return arrA.every((item, index) => item === arrB[index]);
+}
+
+export function isPromise(value) {
+  return !!value && typeof value.then === 'function';
+}
+
+export function getErrorMessage(error) {
+  if (error instanceof Error) return error.message;
+  return error;
+}
+
+// whether the element handles the keyboard and clipboard events itself
+export function isEditableElement(element) {
+  return /^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName) || !!element.isContentEditable;
+}
+
+export function getCellRangeBounds(range, data, columns, dataKey = 'id') {
+  if (!range) return null;
+
+  const { startRowKey, endRowKey, startColumnKey, endColumnKey } = range;
+  const startRowIndex = data.findIndex(rowData => rowData[dataKey] === startRowKey);
+  const endRowIndex =
+    startRowKey === endRowKey ? startRowIndex : data.findIndex(rowData => rowData[dataKey] === endRowKey);
+  const startColumnIndex = columns.findIndex(column => column.key === startColumnKey);
+  const endColumnIndex = columns.findIndex(column => column.key === endColumnKey);
+  // the range is invisible if any of the corners is collapsed or hidden
+  if (startRowIndex < 0 || endRowIndex < 0 || startColumnIndex < 0 || endColumnIndex < 0) return null;
+
+  return {
+    startRowIndex: Math.min(startRowIndex, endRowIndex),
+    endRowIndex: Math.max(startRowIndex, endRowIndex),
+    columnKeys: columns
+      .slice(Math.min(startColumnIndex, endColumnIndex), Math.max(startColumnIndex, endColumnIndex) + 1)
+      .map(column => column.key),
+  };
+}
+
+export function getRowKeysInRange(data, startIndex, endIndex, dataKey = 'id') {
+  const from = Math.min(startIndex, endIndex);
+  const to = Math.max(startIndex, endIndex);
+  return data.slice(from, to + 1).map(rowData => rowData[dataKey]);
+}
+
 export function toString(value) {
   if (typeof value === 'string') return value;
   if (value === null || value === undefined) return '';
@@ -181,6 +298,536 @@ export function getValue(object, path, defaultValue) {
   return object;
 }
 
+export function getCellData({ columns, column, columnIndex, rowData, rowIndex }) {
+  const { dataKey, dataGetter } = column;
+  return dataGetter ? dataGetter({ columns, column, columnIndex, rowData, rowIndex }) : getValue(rowData, dataKey);
+}
+
+// normalize the sort state into an array of `{ key, order }` in priority, the invalid orders are skipped,
+// the keys are mapped back to `column.key` if `columns` provided, as they are strings in the object sort state
+export function getSortDescriptors(sortBy, sortState, columns) {
+  let sorts;
+  if (Array.isArray(sortState)) sorts = sortState;
+  else if (sortState) sorts = Object.keys(sortState).map(key => ({ key, order: sortState[key] }));
+  else sorts = sortBy ? [sortBy] : [];
+  sorts = sorts.filter(({ order }) => order === SortOrder.ASC || order === SortOrder.DESC);
+  if (!columns) return sorts;
+
+  return sorts.map(sort => {
+    const column = columns.find(x => x.key === sort.key) || columns.find(x => String(x.key) === String(sort.key));
+    return column && column.key !== sort.key ? { ...sort, key: column.key } : sort;
+  });
+}
+
+/**
+ * Get the next sort order in the cycle, `null` stands for unsorted in the cycle.
+ * If `defaultOrder` is provided, the cycle is reversed if it doesn't start with it
+ */
+export function getNextSortOrder(order, cycle, defaultOrder) {
+  let orders = cycle;
+  const firstOrder = orders.find(Boolean);
+  if (defaultOrder && firstOrder && firstOrder !== defaultOrder) {
+    orders = orders.map(x => (x === SortOrder.ASC ? SortOrder.DESC : x === SortOrder.DESC ? SortOrder.ASC : x));
+  }
+
+  const index = orders.indexOf(order || null);
+  if (index < 0) return orders.find(Boolean) || null;
+  return orders[(index + 1) % orders.length];
+}
+
+function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
+}
+
+// the default comparator for sorting, numbers, dates and booleans are compared by value, others as natural strings
+export function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Sort the data by the sort descriptors of the shape of `{ key, order }` in priority,
+ * the rows are compared by `Column.sortMethod`, or the cell data via `Column.comparator` or `compareValues`,
+ * the empty values are always put at the end by the default comparator, and the sort is stable
+ */
+export function sortData(data, sorts, columns) {
+  const sorters = [];
+  sorts.forEach(({ key, order }) => {
+    const columnIndex = columns.findIndex(column => column.key === key);
+    if (columnIndex < 0 || (order !== SortOrder.ASC && order !== SortOrder.DESC)) return;
+    sorters.push({ column: columns[columnIndex], columnIndex, order, direction: order === SortOrder.DESC ? -1 : 1 });
+  });
+  if (!sorters.length || data.length < 2) return data;
+
+  // get the cell data only once for each row
+  const items = data.map((rowData, rowIndex) => ({
+    rowData,
+    rowIndex,
+    values: sorters.map(({ column, columnIndex }) =>
+      column.sortMethod ? undefined : getCellData({ columns, column, columnIndex, rowData, rowIndex })
+    ),
+  }));
+  const compareItems = (itemA, itemB, index) => {
+    const { column, order, direction } = sorters[index];
+    if (column.sortMethod) return direction * column.sortMethod(itemA.rowData, itemB.rowData, { column, order });
+
+    const valueA = itemA.values[index];
+    const valueB = itemB.values[index];
+    if (column.comparator) return direction * column.comparator(valueA, valueB, { column, order });
+
+    const emptyA = isEmptyValue(valueA);
+    const emptyB = isEmptyValue(valueB);
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+    return direction * compareValues(valueA, valueB);
+  };
+
+  items.sort((itemA, itemB) => {
+    for (let i = 0; i < sorters.length; i++) {
+      const result = compareItems(itemA, itemB, i);
+      if (result) return result;
+    }
+    return itemA.rowIndex - itemB.rowIndex;
+  });
+  return items.map(item => item.rowData);
+}
+
+/**
+ * Sort each group of siblings in the tree data recursively, the children are kept under their parents,
+ * the rows are copied only if the order of their descendants is changed
+ */
+export function sortTree(tree, sorts, columns) {
+  const sortGroup = rows => {
+    const sorted = sortData(rows, sorts, columns).map(rowData => {
+      if (!hasChildren(rowData)) return rowData;
+      const children = sortGroup(rowData.children);
+      return children === rowData.children ? rowData : { ...rowData, children };
+    });
+    return sorted.every((rowData, index) => rowData === rows[index]) ? rows : sorted;
+  };
+  return sortGroup(tree);
+}
+
+/**
+ * Normalize `Column.filter` to the shape of `{ type, ...options }`, the type could be used as a shorthand
+ */
+export function getColumnFilter(column) {
+  const { filter } = column;
+  if (!filter) return null;
+  return typeof filter === 'string' ? { type: filter } : filter;
+}
+
+/**
+ * Whether the filter value is active, the empty value or the range with no ends doesn't filter anything
+ */
+export function isFilterActive(value) {
+  if (isEmptyValue(value)) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).some(key => !isEmptyValue(value[key]));
+  }
+  return true;
+}
+
+const DATE_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// the dates of `YYYY-MM-DD` are in local time, it's the value of `<input type="date" />`
+function parseDate(value, endOfDay) {
+  const match = typeof value === 'string' && DATE_REGEX.exec(value);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + (endOfDay ? 1 : 0)).getTime();
+  return (value instanceof Date ? value : new Date(value)).getTime();
+}
+
+function isInRange(value, min, max, exclusiveMax) {
+  if (!isEmptyValue(min) && value < min) return false;
+  if (!isEmptyValue(max) && (exclusiveMax ? value >= max : value > max)) return false;
+  return true;
+}
+
+function matchFilter(filter, cellData, value, info) {
+  if (filter.predicate) return !!filter.predicate(cellData, value, info);
+
+  switch (filter.type) {
+    case FilterType.NUMBER: {
+      const number = typeof cellData === 'number' ? cellData : parseFloat(cellData);
+      return !isNaN(number) && isInRange(number, value.min, value.max);
+    }
+    case FilterType.SELECT:
+      return toString(cellData) === toString(value);
+    case FilterType.DATE_RANGE: {
+      if (isEmptyValue(cellData)) return false;
+      const time = parseDate(cellData);
+      const { start, end } = value;
+      const startTime = isEmptyValue(start) ? null : parseDate(start);
+      // the end date is inclusive, so compare with the start of the next day
+      const endTime = isEmptyValue(end) ? null : parseDate(end, true);
+      return !isNaN(time) && isInRange(time, startTime, endTime, DATE_REGEX.test(end));
+    }
+    case FilterType.CUSTOM:
+      return true;
+    default:
+      return toString(cellData).toLowerCase().indexOf(toString(value).toLowerCase()) >= 0;
+  }
+}
+
+/**
+ * Get the predicate of the rows matching all the active filters of the filter state of the shape of
+ * `{ [columnKey]: value }`, the columns without `filter` are ignored, it's `null` if there is no active filter
+ */
+export function getFilterPredicate(filterState, columns) {
+  const filters = [];
+  Object.keys(filterState || {}).forEach(key => {
+    const columnIndex = columns.findIndex(column => String(column.key) === key);
+    const column = columns[columnIndex];
+    const filter = column && getColumnFilter(column);
+    const value = filterState[key];
+    if (filter && isFilterActive(value)) filters.push({ column, columnIndex, filter, value });
+  });
+  if (!filters.length) return null;
+
+  return (rowData, rowIndex) =>
+    filters.every(({ column, columnIndex, filter, value }) => {
+      const cellData = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+      return matchFilter(filter, cellData, value, { column, rowData });
+    });
+}
+
+/**
+ * Filter the data by the filter state, the rows matching all the active filters are kept
+ */
+export function filterData(data, filterState, columns) {
+  const predicate = getFilterPredicate(filterState, columns);
+  return predicate ? data.filter(predicate) : data;
+}
+
+/**
+ * Get the text of the cell data to search in, the elements and plain objects are not searchable
+ */
+export function getSearchText(cellData) {
+  if (React.isValidElement(cellData)) return '';
+  if (cellData !== null && typeof cellData === 'object' && !(cellData instanceof Date)) return '';
+  return toString(cellData);
+}
+
+/**
+ * Get the ranges of the search text in the text case-insensitively, of the shape of `[[start, end]]`,
+ * `end` is exclusive
+ */
+export function getMatchRanges(text, searchText) {
+  const ranges = [];
+  if (!searchText) return ranges;
+
+  const lowerText = text.toLowerCase();
+  const lowerSearchText = searchText.toLowerCase();
+  let index = lowerText.indexOf(lowerSearchText);
+  while (index >= 0) {
+    ranges.push([index, index + lowerSearchText.length]);
+    index = lowerText.indexOf(lowerSearchText, index + lowerSearchText.length);
+  }
+  return ranges;
+}
+
+/**
+ * Get the predicate of the rows of which the cell data of any visible column contains the search text
+ * case-insensitively, it's `null` if the search text is empty
+ */
+export function getSearchPredicate(searchText, columns) {
+  if (!searchText) return null;
+
+  const lowerSearchText = searchText.toLowerCase();
+  return (rowData, rowIndex) =>
+    columns.some((column, columnIndex) => {
+      if (column.hidden) return false;
+      const cellData = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+      return getSearchText(cellData).toLowerCase().indexOf(lowerSearchText) >= 0;
+    });
+}
+
+/**
+ * Keep the rows of which the cell data of any visible column contains the search text
+ */
+export function searchData(data, searchText, columns) {
+  const predicate = getSearchPredicate(searchText, columns);
+  return predicate ? data.filter(predicate) : data;
+}
+
+// the key of the group info in the group rows
+export const GROUP_KEY = '__group__';
+// the key of the total info in the total row
+export const TOTAL_KEY = '__total__';
+
+// the group rows and the total row have no cell data, they show the aggregates of their rows
+export function isSummaryRow(rowData) {
+  return !!(rowData[GROUP_KEY] || rowData[TOTAL_KEY]);
+}
+
+/**
+ * Find the cells containing the query case-insensitively in the data, including the collapsed rows if `deep` is set,
+ * the matches are of the shape of `{ rowKey, columnKey, ancestorKeys }` in the display order
+ */
+export function findCells(data, query, columns, dataKey = 'id', deep = false) {
+  const matches = [];
+  if (!query) return matches;
+
+  const lowerQuery = query.toLowerCase();
+  const visit = (rows, ancestorKeys) =>
+    rows.forEach((rowData, rowIndex) => {
+      // the group rows have no cell data
+      if (!rowData[GROUP_KEY]) {
+        columns.forEach((column, columnIndex) => {
+          const cellData = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+          if (getSearchText(cellData).toLowerCase().indexOf(lowerQuery) >= 0) {
+            matches.push({ rowKey: rowData[dataKey], columnKey: column.key, ancestorKeys });
+          }
+        });
+      }
+      if (deep && hasChildren(rowData)) visit(rowData.children, ancestorKeys.concat(rowData[dataKey]));
+    });
+  visit(data, []);
+  return matches;
+}
+
+/**
+ * Get the distinct values of the cell data of the column with their counts, of the shape of `[{ value, count }]`
+ * ordered by value, the rows of the nested `children` are included, and only the ones matching the predicate
+ * are counted if it's provided, the empty values are skipped
+ */
+export function getColumnFacets(data, column, columns, predicate) {
+  const columnIndex = columns.indexOf(column);
+  const facets = new Map();
+  const visit = rows =>
+    rows.forEach((rowData, rowIndex) => {
+      if (!predicate || predicate(rowData, rowIndex)) {
+        const cellData = getCellData({ columns, column, columnIndex, rowData, rowIndex });
+        const key = toString(cellData);
+        if (facets.has(key)) facets.get(key).count++;
+        else if (!isEmptyValue(cellData)) facets.set(key, { value: cellData, count: 1 });
+      }
+      if (hasChildren(rowData)) visit(rowData.children);
+    });
+  visit(data);
+  return Array.from(facets.values()).sort((a, b) => compareValues(a.value, b.value));
+}
+
+const AGGREGATORS = {
+  [AggregateType.SUM]: numbers => numbers.reduce((sum, number) => sum + number, 0),
+  [AggregateType.AVG]: numbers =>
+    numbers.length ? numbers.reduce((sum, number) => sum + number, 0) / numbers.length : null,
+  [AggregateType.MIN]: numbers => (numbers.length ? numbers.reduce((a, b) => Math.min(a, b)) : null),
+  [AggregateType.MAX]: numbers => (numbers.length ? numbers.reduce((a, b) => Math.max(a, b)) : null),
+};
+
+/**
+ * Get the aggregates of the rows of the shape of `{ [columnKey]: value }` by `Column.aggregate`,
+ * the custom aggregate is of the shape of `(values, { column, rows }) => *`, the columns without `aggregate` are ignored
+ */
+export function getAggregates(rows, columns) {
+  const aggregates = {};
+  columns.forEach((column, columnIndex) => {
+    const { aggregate } = column;
+    if (!aggregate) return;
+
+    const values = rows.map((rowData, rowIndex) => getCellData({ columns, column, columnIndex, rowData, rowIndex }));
+    if (typeof aggregate === 'function') {
+      aggregates[column.key] = aggregate(values, { column, rows });
+    } else if (aggregate === AggregateType.COUNT) {
+      aggregates[column.key] = values.filter(value => !isEmptyValue(value)).length;
+    } else if (AGGREGATORS[aggregate]) {
+      const numbers = values.map(value => (typeof value === 'number' ? value : parseFloat(value)));
+      aggregates[column.key] = AGGREGATORS[aggregate](numbers.filter(number => !isNaN(number)));
+    }
+  });
+  return aggregates;
+}
+
+/**
+ * Group the rows by the values of the columns in order, the group rows are of the shape of
+ * `{ [dataKey]: key, children, [GROUP_KEY]: { columnKey, value, count, depth, rows, aggregates } }`,
+ * the groups are in the order of their first rows, and their keys are made of the grouping values,
+ * so they are stable across the data updates.
+ * The group rows of `prevGroups` are reused if their rows are not changed, so the aggregates are recomputed
+ * only for the changed groups
+ */
+export function groupData(data, groupBy, columns, dataKey = 'id', prevGroups = null) {
+  const prevGroupMap = new Map();
+  const collect = rows =>
+    rows.forEach(rowData => {
+      if (!rowData[GROUP_KEY]) return;
+      prevGroupMap.set(rowData[dataKey], rowData);
+      collect(rowData.children);
+    });
+  if (prevGroups) collect(prevGroups);
+
+  const getters = groupBy.map(columnKey => {
+    const columnIndex = columns.findIndex(column => String(column.key) === String(columnKey));
+    const column = columns[columnIndex];
+    // the key not belonging to any column is used as a path of the row data
+    if (!column) return rowData => getValue(rowData, String(columnKey));
+    return (rowData, rowIndex) => getCellData({ columns, column, columnIndex, rowData, rowIndex });
+  });
+
+  const group = (rows, depth, path) => {
+    if (depth >= groupBy.length) return rows;
+
+    const groups = new Map();
+    rows.forEach((rowData, rowIndex) => {
+      const value = getters[depth](rowData, rowIndex);
+      const valueKey = toString(value);
+      if (!groups.has(valueKey)) groups.set(valueKey, { value, rows: [] });
+      groups.get(valueKey).rows.push(rowData);
+    });
+    return Array.from(groups.entries()).map(([valueKey, { value, rows: groupRows }]) => {
+      const groupPath = path.concat([[groupBy[depth], valueKey]]);
+      const key = `${GROUP_KEY}${JSON.stringify(groupPath)}`;
+      const prevGroup = prevGroupMap.get(key);
+      if (prevGroup && isArrayEqual(prevGroup[GROUP_KEY].rows, groupRows)) return prevGroup;
+
+      const aggregates = getAggregates(groupRows, columns);
+      return {
+        [dataKey]: key,
+        children: group(groupRows, depth + 1, groupPath),
+        [GROUP_KEY]: { columnKey: groupBy[depth], value, count: groupRows.length, depth, rows: groupRows, aggregates },
+      };
+    });
+  };
+  return group(data, 0, []);
+}
+
+/**
+ * Filter the tree data, the matching rows are kept with their ancestors and all their children, the ancestors
+ * are copied only if their children are changed. The ancestors of the matching rows are returned as
+ * `expandedRowKeys`, so the matching rows could be revealed
+ */
+export function filterTree(tree, predicate, dataKey = 'id') {
+  const expandedRowKeys = [];
+  const filterGroup = rows => {
+    const filtered = [];
+    rows.forEach((rowData, rowIndex) => {
+      const children = hasChildren(rowData) ? filterGroup(rowData.children) : null;
+      const hasMatchingChildren = !!children && children.length > 0;
+      if (hasMatchingChildren) expandedRowKeys.push(rowData[dataKey]);
+      // the matching row keeps the children unfiltered to stay expandable
+      if (predicate(rowData, rowIndex)) {
+        filtered.push(rowData);
+      } else if (hasMatchingChildren) {
+        filtered.push(children === rowData.children ? rowData : { ...rowData, children });
+      }
+    });
+    return filtered.length === rows.length && filtered.every((rowData, index) => rowData === rows[index])
+      ? rows
+      : filtered;
+  };
+  return { data: filterGroup(tree), expandedRowKeys };
+}
+
+function escapeTSVValue(value) {
+  if (!/[\t\n\r"]/.test(value)) return value;
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+function getDecimalPlaces(value) {
+  const [, fraction = '', exponent = 0] = /(?:\.(\d+))?(?:e([+-]\d+))?$/.exec(String(value));
+  return Math.min(Math.max(fraction.length - exponent, 0), 20);
+}
+
+function getSeries(values) {
+  if (values.length < 2) return null;
+
+  const isDate = values.every(value => value instanceof Date && !isNaN(value));
+  const isNumber = values.every(value => typeof value === 'number' && isFinite(value));
+  if (!isDate && !isNumber) return null;
+
+  const numbers = values.map(Number);
+  const start = numbers[0];
+  const step = (numbers[numbers.length - 1] - start) / (numbers.length - 1);
+  // the differences of the decimals are not exact, e.g. 0.3 - 0.2 !== 0.2 - 0.1
+  const tolerance = Number.EPSILON * Math.max(...numbers.map(Math.abs), 1) * numbers.length;
+  if (!numbers.every((value, index) => Math.abs(value - (start + index * step)) <= tolerance)) return null;
+
+  const decimalPlaces = isNumber ? Math.max(...numbers.map(getDecimalPlaces)) : 0;
+  return { isDate, start, step, decimalPlaces };
+}
+
+// continue the values for the fill handle, the numeric or date series are incremented, others are repeated
+export function getFillValues(values, count) {
+  const series = getSeries(values);
+  const result = [];
+  for (let i = 0; i < count; i++) {
+    if (series) {
+      // computed from the start rather than accumulated to avoid adding up the float errors
+      const value = Number((series.start + series.step * (values.length + i)).toFixed(series.decimalPlaces));
+      result.push(series.isDate ? new Date(value) : value);
+    } else {
+      result.push(values[i % values.length]);
+    }
+  }
+  return result;
+}
+
+export function toTSV(rows) {
+  return rows.map(row => row.map(escapeTSVValue).join('\t')).join('\n');
+}
+
+// parse the TSV text from clipboard, the quoted values could contain tabs, line breaks and escaped quotes
+export function parseTSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === '\t') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+    i++;
+  }
+
+  // the trailing line break added by spreadsheets doesn't start a new row
+  if (value !== '' || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function escapeHTML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function toHTMLTable(rows, headers) {
+  const toCells = (row, tag) => row.map(value => `<${tag}>${escapeHTML(value)}</${tag}>`).join('');
+  const head = headers ? `<thead><tr>${toCells(headers, 'th')}</tr></thead>` : '';
+  const body = rows.map(row => `<tr>${toCells(row, 'td')}</tr>`).join('');
+  return `<table>${head}<tbody>${body}</tbody></table>`;
+}
+
 // copied from https://www.30secondsofcode.org/js/s/debounce
 export const debounce = (fn, ms = 0) => {
   let timeoutId;
@@ -0,0 +1,349 @@
+import {
+  toTSV,
+  parseTSV,
+  toHTMLTable,
+  getFillValues,
+  getTreeSelectionState,
+  getTreeSelectedRowKeys,
+  sortData,
+  sortTree,
+  getSortDescriptors,
+  getNextSortOrder,
+  filterData,
+  searchData,
+  getMatchRanges,
+  filterTree,
+  findCells,
+  getColumnFacets,
+  groupData,
+  getAggregates,
+  GROUP_KEY,
+} from './utils';
+
+describe('utils', function() {
+  test('toTSV quotes the values with special characters', () => {
+    const rows = [
+      ['a', 'b'],
+      ['c\td', 'say "hi"\n'],
+    ];
+    expect(toTSV(rows)).toBe('a\tb\n"c\td"\t"say ""hi""\n"');
+  });
+
+  test('parseTSV handles the quoted values and the trailing line break', () => {
+    expect(parseTSV('a\tb\r\n"c\td"\t"say ""hi""\n"\r\n')).toEqual([
+      ['a', 'b'],
+      ['c\td', 'say "hi"\n'],
+    ]);
+    expect(parseTSV('a\t\n\tb')).toEqual([
+      ['a', ''],
+      ['', 'b'],
+    ]);
+  });
+
+  test('toHTMLTable escapes the values', () => {
+    expect(toHTMLTable([['<b>', 'a & b']], ['x', 'y'])).toBe(
+      '<table><thead><tr><th>x</th><th>y</th></tr></thead><tbody><tr><td>&lt;b&gt;</td><td>a &amp; b</td></tr></tbody></table>'
+    );
+  });
+
+  test('getFillValues increments the series and repeats the others', () => {
+    expect(getFillValues([1, 3], 3)).toEqual([5, 7, 9]);
+    expect(getFillValues([1, 2, 4], 4)).toEqual([1, 2, 4, 1]);
+    expect(getFillValues([5], 2)).toEqual([5, 5]);
+    expect(getFillValues(['a', 'b'], 3)).toEqual(['a', 'b', 'a']);
+    expect(getFillValues([new Date(2020, 0, 1), new Date(2020, 0, 2)], 1)).toEqual([new Date(2020, 0, 3)]);
+  });
+
+  test('getFillValues continues the decimal series without the float errors', () => {
+    expect(getFillValues([0.1, 0.2, 0.3], 3)).toEqual([0.4, 0.5, 0.6]);
+    expect(getFillValues([0.1, 0.2], 10)[9]).toBe(1.2);
+    expect(getFillValues([1.5, 1.25], 2)).toEqual([1, 0.75]);
+    expect(getFillValues([0.1, 0.25, 0.3], 1)).toEqual([0.1]);
+  });
+
+  describe('tree selection', () => {
+    const tree = [
+      {
+        id: 'a',
+        children: [{ id: 'a1' }, { id: 'a2', children: [{ id: 'a21' }, { id: 'a22' }] }],
+      },
+      { id: 'b' },
+    ];
+    const getState = keys => {
+      const result = { checked: [], indeterminate: [] };
+      getTreeSelectionState(tree, keys).forEach(({ checked, indeterminate }, key) => {
+        if (checked) result.checked.push(key);
+        if (indeterminate) result.indeterminate.push(key);
+      });
+      return result;
+    };
+
+    test('getTreeSelectionState computes the parents from the children', () => {
+      expect(getState(['a21'])).toEqual({ checked: ['a21'], indeterminate: ['a2', 'a'] });
+      expect(getState(['a1', 'a21', 'a22'])).toEqual({ checked: ['a1', 'a21', 'a22', 'a2', 'a'], indeterminate: [] });
+      expect(getState(['a2'])).toEqual({ checked: ['a21', 'a22', 'a2'], indeterminate: ['a'] });
+    });
+
+    test('getTreeSelectedRowKeys cascades to the descendants and the ancestors', () => {
+      expect(getTreeSelectedRowKeys(tree, ['b'], 'a', true)).toEqual(['b', 'a1', 'a21', 'a22', 'a2', 'a']);
+      expect(getTreeSelectedRowKeys(tree, ['a1', 'a21'], 'a22', true)).toEqual(['a1', 'a21', 'a22', 'a2', 'a']);
+      expect(getTreeSelectedRowKeys(tree, ['x', 'a'], 'a21', false)).toEqual(['x', 'a1', 'a22']);
+    });
+  });
+
+  describe('sortData', () => {
+    const columns = [
+      { key: 'name', dataKey: 'name' },
+      { key: 'size', dataKey: 'meta.size' },
+      { key: 'label', dataGetter: ({ rowData }) => `item ${rowData.id}` },
+    ];
+    const data = [
+      { id: 10, name: 'b', meta: { size: 2 } },
+      { id: 2, name: 'a', meta: { size: null } },
+      { id: 1, name: 'b', meta: { size: 1 } },
+    ];
+    const getIds = sorts => sortData(data, sorts, columns).map(rowData => rowData.id);
+
+    test('sorts by the cell data with the empty values at the end', () => {
+      expect(getIds([{ key: 'size', order: 'asc' }])).toEqual([1, 10, 2]);
+      expect(getIds([{ key: 'size', order: 'desc' }])).toEqual([10, 1, 2]);
+      expect(getIds([{ key: 'label', order: 'asc' }])).toEqual([1, 2, 10]);
+    });
+
+    test('sorts by multiple columns in priority and keeps the original order of the equal rows', () => {
+      expect(getIds([{ key: 'name', order: 'desc' }])).toEqual([10, 1, 2]);
+      expect(
+        getIds([
+          { key: 'name', order: 'asc' },
+          { key: 'size', order: 'asc' },
+        ])
+      ).toEqual([2, 1, 10]);
+      expect(getIds([{ key: 'name', order: null }])).toEqual([10, 2, 1]);
+    });
+
+    test('sorts by the custom sortMethod or comparator', () => {
+      const customColumns = [
+        { key: 'id', dataKey: 'id', comparator: (a, b) => (a % 10) - (b % 10) },
+        { key: 'row', sortMethod: (a, b) => a.meta.size - b.meta.size },
+      ];
+      const sort = sorts => sortData(data, sorts, customColumns).map(rowData => rowData.id);
+      expect(sort([{ key: 'id', order: 'asc' }])).toEqual([10, 1, 2]);
+      expect(sort([{ key: 'row', order: 'desc' }])).toEqual([10, 1, 2]);
+    });
+  });
+
+  test('getSortDescriptors maps the string keys back to the column keys', () => {
+    const columns = [{ key: 1 }, { key: 'name' }];
+    expect(getSortDescriptors(null, { 1: 'asc', name: 'desc', x: 'asc' }, columns)).toEqual([
+      { key: 1, order: 'asc' },
+      { key: 'name', order: 'desc' },
+      { key: 'x', order: 'asc' },
+    ]);
+    expect(getSortDescriptors({ key: '1', order: 'desc' }, null, columns)).toEqual([{ key: 1, order: 'desc' }]);
+  });
+
+  test('sortTree sorts the siblings and keeps the children under their parents', () => {
+    const columns = [{ key: 'name', dataKey: 'name' }];
+    const children = [
+      { id: 'b2', name: 'b' },
+      { id: 'b1', name: 'a' },
+    ];
+    const tree = [
+      { id: 'b', name: 'b', children },
+      { id: 'a', name: 'a', children: [{ id: 'a1', name: 'a' }] },
+    ];
+    const sorted = sortTree(tree, [{ key: 'name', order: 'asc' }], columns);
+    expect(sorted.map(rowData => rowData.id)).toEqual(['a', 'b']);
+    expect(sorted[1].children.map(rowData => rowData.id)).toEqual(['b1', 'b2']);
+    // the rows whose descendants are not reordered are kept as is
+    expect(sorted[0]).toBe(tree[1]);
+    expect(children[0].id).toBe('b2');
+    expect(sortTree(tree, [], columns)).toBe(tree);
+  });
+
+  test('getNextSortOrder cycles through the orders from the default order', () => {
+    const cycle = ['asc', 'desc', null];
+    expect([null, 'asc', 'desc'].map(order => getNextSortOrder(order, cycle))).toEqual(['asc', 'desc', null]);
+    expect([null, 'desc', 'asc'].map(order => getNextSortOrder(order, cycle, 'desc'))).toEqual(['desc', 'asc', null]);
+    expect(getNextSortOrder(undefined, ['asc', 'desc'])).toBe('asc');
+    expect(getNextSortOrder('asc', ['desc'])).toBe('desc');
+  });
+
+  test('filterData keeps the rows matching all the active filters', () => {
+    const columns = [
+      { key: 'name', dataKey: 'name', filter: 'text' },
+      { key: 'price', dataKey: 'price', filter: 'number' },
+      { key: 'date', dataKey: 'date', filter: 'dateRange' },
+      { key: 'id', dataKey: 'id', filter: { type: 'custom', predicate: (id, value) => id % value === 0 } },
+    ];
+    const data = [
+      { id: 1, name: 'Apple', price: 5, date: new Date(2024, 0, 31, 12) },
+      { id: 2, name: 'pineapple', price: 10, date: new Date(2024, 1, 1) },
+      { id: 3, name: 'Banana', price: '', date: null },
+    ];
+    const getIds = filterState => filterData(data, filterState, columns).map(rowData => rowData.id);
+
+    expect(getIds({ name: 'APPLE' })).toEqual([1, 2]);
+    expect(getIds({ name: 'apple', price: { min: 6, max: null } })).toEqual([2]);
+    expect(getIds({ date: { start: '', end: '2024-01-31' } })).toEqual([1]);
+    expect(getIds({ id: 2, name: '', price: {} })).toEqual([2]);
+    expect(filterData(data, { price: { min: '' } }, columns)).toBe(data);
+  });
+
+  test('searchData keeps the rows of which any visible cell contains the search text', () => {
+    const columns = [
+      { key: 'name', dataKey: 'name' },
+      { key: 'code', dataGetter: ({ rowData }) => `#${rowData.id}` },
+      { key: 'note', dataKey: 'note', hidden: true },
+    ];
+    const data = [
+      { id: 1, name: 'Apple', note: 'red' },
+      { id: 2, name: 'Pear', note: 'green' },
+    ];
+    expect(searchData(data, 'APP', columns)).toEqual([data[0]]);
+    expect(searchData(data, '#2', columns)).toEqual([data[1]]);
+    expect(searchData(data, 'green', columns)).toEqual([]);
+    expect(searchData(data, '', columns)).toBe(data);
+    expect(getMatchRanges('Banana', 'AN')).toEqual([
+      [1, 3],
+      [3, 5],
+    ]);
+  });
+
+  test('filterTree keeps the matching rows with their ancestors', () => {
+    const fruits = [
+      { id: 2, name: 'apple' },
+      { id: 3, name: 'pear' },
+    ];
+    const tree = [
+      { id: 1, name: 'fruits', children: fruits },
+      { id: 4, name: 'apples', children: [{ id: 5, name: 'red' }] },
+      { id: 6, name: 'nuts' },
+    ];
+    const { data, expandedRowKeys } = filterTree(tree, rowData => rowData.name.indexOf('apple') >= 0);
+    expect(data).toEqual([
+      { id: 1, name: 'fruits', children: [{ id: 2, name: 'apple' }] },
+      { id: 4, name: 'apples', children: [{ id: 5, name: 'red' }] },
+    ]);
+    expect(expandedRowKeys).toEqual([1]);
+    expect(filterTree(tree, () => true).data).toBe(tree);
+  });
+
+  test('filterTree keeps all the children of the matching rows and expands them to the matching descendants', () => {
+    const tree = [
+      {
+        id: 1,
+        name: 'apple',
+        children: [
+          { id: 2, name: 'crab apple' },
+          { id: 3, name: 'pear', children: [{ id: 4, name: 'apple pear' }] },
+        ],
+      },
+      { id: 5, name: 'nuts', children: [{ id: 6, name: 'pecan' }] },
+    ];
+    const { data, expandedRowKeys } = filterTree(tree, rowData => rowData.name.indexOf('apple') >= 0);
+    expect(data).toEqual([tree[0]]);
+    expect(data[0]).toBe(tree[0]);
+    expect(expandedRowKeys).toEqual([3, 1]);
+  });
+
+  test('findCells finds the cells in the display order including the collapsed rows', () => {
+    const columns = [
+      { key: 'name', dataKey: 'name' },
+      { key: 'note', dataKey: 'note' },
+    ];
+    const tree = [
+      { id: 1, name: 'Apple', note: 'green', children: [{ id: 2, name: 'crab apple' }] },
+      { id: 3, name: 'pear', note: 'like an apple' },
+    ];
+    expect(findCells(tree, 'APPLE', columns, 'id', true)).toEqual([
+      { rowKey: 1, columnKey: 'name', ancestorKeys: [] },
+      { rowKey: 2, columnKey: 'name', ancestorKeys: [1] },
+      { rowKey: 3, columnKey: 'note', ancestorKeys: [] },
+    ]);
+    expect(findCells(tree, 'crab', columns)).toEqual([]);
+  });
+
+  test('getColumnFacets counts the distinct values in the tree with the predicate', () => {
+    const columns = [{ key: 'kind', dataGetter: ({ rowData }) => rowData.kind && rowData.kind.toUpperCase() }];
+    const children = [
+      { id: 2, kind: 'nut' },
+      { id: 3, kind: 'fruit', hidden: true },
+    ];
+    const tree = [
+      { id: 1, kind: 'fruit', children },
+      { id: 4, kind: 'berry' },
+      { id: 5, kind: '' },
+      { id: 6, kind: 'nut' },
+    ];
+    const facets = [
+      { value: 'BERRY', count: 1 },
+      { value: 'FRUIT', count: 2 },
+      { value: 'NUT', count: 2 },
+    ];
+    expect(getColumnFacets(tree, columns[0], columns)).toEqual(facets);
+    const visibleFacets = getColumnFacets(tree, columns[0], columns, rowData => !rowData.hidden);
+    expect(visibleFacets[1]).toEqual({ value: 'FRUIT', count: 1 });
+  });
+
+  test('groupData nests the rows in the groups with stable keys', () => {
+    const columns = [{ key: 'region', dataGetter: ({ rowData }) => rowData.place.region }];
+    const data = [
+      { id: 1, place: { region: 'EU', country: 'FR' } },
+      { id: 2, place: { region: 'US', country: 'US' } },
+      { id: 3, place: { region: 'EU', country: 'DE' } },
+      { id: 4, place: { region: 'EU', country: 'FR' } },
+    ];
+    const groups = groupData(data, ['region', 'place.country'], columns);
+    expect(groups.map(group => group.id)).toEqual(['__group__[["region","EU"]]', '__group__[["region","US"]]']);
+    expect(groups[0][GROUP_KEY]).toEqual({
+      columnKey: 'region',
+      value: 'EU',
+      count: 3,
+      depth: 0,
+      rows: [data[0], data[2], data[3]],
+      aggregates: {},
+    });
+    const subGroups = groups[0].children;
+    expect(subGroups.map(group => group.id)).toEqual([
+      '__group__[["region","EU"],["place.country","FR"]]',
+      '__group__[["region","EU"],["place.country","DE"]]',
+    ]);
+    expect(subGroups[0].children).toEqual([data[0], data[3]]);
+    expect(groupData(data.slice(1), ['region', 'place.country'], columns)[1].id).toBe(groups[0].id);
+  });
+
+  test('getAggregates computes the aggregates of the columns', () => {
+    const columns = [
+      { key: 'a', dataKey: 'a', aggregate: 'sum' },
+      { key: 'b', dataKey: 'a', aggregate: 'avg' },
+      { key: 'c', dataKey: 'a', aggregate: 'min' },
+      { key: 'd', dataKey: 'a', aggregate: 'max' },
+      { key: 'e', dataKey: 'a', aggregate: 'count' },
+      { key: 'f', dataKey: 'a', aggregate: (values, { rows }) => `${values.join('')}/${rows.length}` },
+      { key: 'g', dataKey: 'a' },
+    ];
+    const rows = [{ a: 2 }, { a: '4' }, { a: null }, { a: 'x' }];
+    expect(getAggregates(rows, columns)).toEqual({ a: 6, b: 3, c: 2, d: 4, e: 3, f: '24x/4' });
+    expect(getAggregates([], columns)).toEqual({ a: 0, b: null, c: null, d: null, e: 0, f: '/0' });
+  });
+
+  test('groupData reuses the groups of the unchanged rows', () => {
+    const columns = [
+      { key: 'kind', dataKey: 'kind' },
+      { key: 'count', dataKey: 'count', aggregate: 'sum' },
+    ];
+    const data = [
+      { id: 1, kind: 'a', count: 1 },
+      { id: 2, kind: 'b', count: 2 },
+      { id: 3, kind: 'a', count: 3 },
+    ];
+    const groups = groupData(data, ['kind'], columns);
+    expect(groups.map(group => group[GROUP_KEY].aggregates.count)).toEqual([4, 2]);
+
+    const nextData = [data[0], { ...data[1], count: 5 }, data[2]];
+    const nextGroups = groupData(nextData, ['kind'], columns, 'id', groups);
+    expect(nextGroups[0]).toBe(groups[0]);
+    expect(nextGroups[1][GROUP_KEY].aggregates.count).toBe(5);
+  });
+});
@@ -1,12 +1,43 @@
 declare module 'react-base-table' {
   export type SortOrder = 'asc' | 'desc';
 
+  export type SelectionMode = 'single' | 'multiple' | 'tree';
+
+  export type FilterType = 'text' | 'number' | 'select' | 'dateRange' | 'custom';
+
+  export type AggregateType = 'sum' | 'avg' | 'min' | 'max' | 'count';
+
   export type Alignment = 'left' | 'right' | 'center';
 
   export type FrozenDirection = 'left' | 'right' | true | false;
 
   export type RowKey = string | number;
 
+  export type CellRange = {
+    startRowKey: RowKey;
+    endRowKey: RowKey;
+    startColumnKey: string | number;
+    endColumnKey: string | number;
+  };
+
+  export type CellChangeSource = 'paste' | 'fill' | 'undo' | 'redo';
+
+  export type CellChange = {
+    rowKey: RowKey;
+    columnKey: string | number;
+    oldValue: any;
+    newValue: any;
+  };
+
+  export type RejectedCellChange = {
+    rowKey?: RowKey;
+    columnKey?: string | number;
+    value: string;
+    reason: 'readonly' | 'invalid' | 'outOfRange';
+  };
+
+  export type RowSelectionState = { checked: boolean; indeterminate: boolean };
+
   export type Size = { width: number; height: number };
 
   export type CallOrReturn<T, P = any[]> = T | (P extends any[] ? (...p: P) => T : (p: P) => T);
@@ -18,10 +49,89 @@ declare module 'react-base-table' {
     columnIndex: number;
     rowData: T;
     rowIndex: number;
+    selectionState: RowSelectionState;
+    matchRanges: Array<[number, number]>;
+    /**
+     * The aggregates of the group rows and the total row
+     */
+    aggregates?: Aggregates;
     container: BaseTable<T>;
     isScrolling?: boolean;
   }
 
+  export interface CellEditorProps<T = unknown> extends ColumnShapeRender<T> {
+    value: any;
+    pending: boolean;
+    error?: React.ReactNode;
+    onChange: (value: any) => void;
+    onCommit: (value?: any) => void;
+    onCancel: () => void;
+  }
+
+  export type FilterState = { [key in string | number]: any };
+
+  export type FilterExpressionNode =
+    | { type: 'and' | 'or'; left: FilterExpressionNode; right: FilterExpressionNode }
+    | { type: 'not'; operand: FilterExpressionNode }
+    | {
+        type: 'comparison';
+        identifier: string;
+        operator: '=' | '!=' | '>' | '>=' | '<' | '<=' | '~' | '!~';
+        value: string | number | boolean | null;
+        position: number;
+      };
+
+  export type Aggregates = { [key in string | number]: any };
+
+  export type GroupInfo = {
+    columnKey: string | number;
+    value: any;
+    count: number;
+    depth: number;
+    rows: any[];
+    aggregates: Aggregates;
+  };
+
+  export type TotalInfo = { count: number; aggregates: Aggregates };
+
+  export type ColumnFacet = { value: any; count: number };
+
+  export type FoundCell = { rowKey: RowKey; columnKey: string | number; index: number; count: number };
+
+  export interface ColumnFilterProps<T = unknown> {
+    columns: ColumnShape<T>[];
+    column: ColumnShape<T>;
+    columnIndex: number;
+    filter: ColumnFilterShape<T>;
+    value: any;
+    container: BaseTable<T>;
+    onChange: (value: any) => void;
+  }
+
+  export interface ColumnFilterShape<T = unknown> {
+    /**
+     * The type of the filter
+     */
+    type?: FilterType;
+    /**
+     * The options of the `select` filter, either the values or `{ value, label }`,
+     * the facets of the column are used if not provided
+     */
+    options?: Array<any | { value: any; label: React.ReactNode }>;
+    /**
+     * The placeholder of the filter input
+     */
+    placeholder?: string;
+    /**
+     * Custom predicate to match the cell data, it's required for the `custom` filter
+     */
+    predicate?: (cellData: any, value: any, info: { column: ColumnShape<T>; rowData: T }) => boolean;
+    /**
+     * Custom filter renderer to replace the default `ColumnFilter`
+     */
+    renderer?: React.ReactElement | ((props: ColumnFilterProps<T>) => React.ReactNode);
+  }
+
   export interface ColumnShape<T = unknown> {
     /**
      * Unique key for each column
@@ -119,14 +229,71 @@ declare module 'react-base-table' {
      * Whether the column is sortable, defaults to false
      */
     sortable?: boolean;
+    /**
+     * The sort orders to cycle through by clicking the header cell, overrides the `sortCycle` of the table
+     */
+    sortDirections?: Array<SortOrder | null>;
+    /**
+     * The order to start with when sorting the column, the `sortCycle` of the table is reversed if it starts with the other order
+     */
+    defaultSortOrder?: SortOrder;
+    /**
+     * Custom method to compare two rows for the built-in sorting, which compares in ascending order
+     */
+    sortMethod?: (rowDataA: T, rowDataB: T, info: { column: ColumnShape<T>; order: SortOrder }) => number;
+    /**
+     * Custom comparator to compare the cell data of two rows for the built-in sorting, which compares in ascending order,
+     * the cell data is got with the `rowIndex` in the sorted siblings rather than the rendered row index
+     */
+    comparator?: (cellDataA: any, cellDataB: any, info: { column: ColumnShape<T>; order: SortOrder }) => number;
+    /**
+     * The filter of the column, it could be a filter type as a shorthand of `{ type }`
+     */
+    filter?: FilterType | ColumnFilterShape<T>;
+    /**
+     * The aggregate of the column rendered in the group rows and the total row, or a custom function
+     */
+    aggregate?: AggregateType | ((values: any[], info: { column: ColumnShape<T>; rows: T[] }) => any);
     /**
      * Custom column cell renderer
-     * The renderer receives props `{ cellData, columns, column, columnIndex, rowData, rowIndex, container, isScrolling }`
+     * The renderer receives props `{ cellData, columns, column, columnIndex, rowData, rowIndex, selectionState, matchRanges, container, isScrolling }`
      */
     cellRenderer?: CallOrReturn<
       React.ReactNode,
       ColumnShapeRender<T>
     >;
+    /**
+     * Custom formatter to get the text while copying the cell to clipboard, defaults to the cell data
+     * The handler is of the shape of `({ cellData, columns, column, columnIndex, rowData, rowIndex }) => string`
+     */
+    copyFormatter?: (args: {
+      cellData: any;
+      columns: ColumnShape<T>[];
+      column: ColumnShape<T>;
+      columnIndex: number;
+      rowData: T;
+      rowIndex: number;
+    }) => string;
+    /**
+     * Whether the cell is editable, could be a callback to return the editable state
+     */
+    editable?: CallOrReturn<boolean, { column: ColumnShape<T>; rowData: T; rowIndex: number }>;
+    /**
+     * Custom cell editor, defaults to a text input
+     */
+    editor?: CallOrReturn<React.ReactNode, CellEditorProps<T>>;
+    /**
+     * Custom validator for the edited value, returns an error message if the value is invalid, could return a Promise
+     */
+    validate?: (
+      value: any,
+      args: { column: ColumnShape<T>; rowData: T; rowIndex: number; oldValue: any }
+    ) => React.ReactNode | Promise<React.ReactNode>;
+    /**
+     * Custom parser to convert the pasted text or the text from the default editor to the cell value,
+     * defaults to the text itself, the text is rejected if it throws
+     */
+    parseValue?: (text: string, args: { column: ColumnShape<T>; rowData: T; rowIndex: number; oldValue: any }) => any;
     /**
      * Custom column header renderer
      * The renderer receives props `{ columns, column, columnIndex, headerIndex, container }`
@@ -141,6 +308,21 @@ declare module 'react-base-table' {
         container: BaseTable<T>;
       }
     >;
+    /**
+     * Custom column footer renderer, available only if `footerRow` is set for the table
+     * The renderer receives props `{ cellData, aggregates, columns, column, columnIndex, container }`
+     */
+    footerRenderer?: CallOrReturn<
+      React.ReactNode,
+      {
+        cellData: any;
+        aggregates: Aggregates;
+        columns: ColumnShape<T>[];
+        column: ColumnShape<T>;
+        columnIndex: number;
+        container: BaseTable<T>;
+      }
+    >;
     [key: string]: any;
   }
 
@@ -163,9 +345,11 @@ declare module 'react-base-table' {
     order: SortOrder;
   }
 
-  export interface BaseTablePropsOnColumnSortBase<T = unknown> {  key: string | number; order: SortOrder }
+  export type SortState = { [key in string | number]: SortOrder } | BaseTablePropsSortBy[];
 
-  export interface BaseTablePropsOnColumnSort<T = unknown> extends BaseTablePropsOnColumnSortBase<T> { column?: ColumnShape<T>; }
+  export interface BaseTablePropsOnColumnSortBase<T = unknown> {  key: string | number; order: SortOrder | null }
+
+  export interface BaseTablePropsOnColumnSort<T = unknown> extends BaseTablePropsOnColumnSortBase<T> { column?: ColumnShape<T>; sortState?: SortState; }
 
   export interface BaseTableProps<T = unknown> {
     /**
@@ -256,6 +440,11 @@ declare module 'react-base-table' {
      * Custom footer renderer, available only if `footerHeight` is larger then 0
      */
     footerRenderer?: CallOrReturn<React.ReactNode>;
+    /**
+     * Whether to render the footer as a row aligned with the columns instead of `footerRenderer`,
+     * available only if `footerHeight` is larger then 0
+     */
+    footerRow?: boolean;
     /**
      * Custom header renderer
      * The renderer receives props `{ cells, columns, headerIndex }`
@@ -374,6 +563,29 @@ declare module 'react-base-table' {
      * The key for the expand column which render the expand icon if the data is a tree
      */
     expandColumnKey?: string;
+    /**
+     * The keys of the columns to group the rows by in order, the group rows are collapsible if `expandColumnKey` is set,
+     * otherwise they are always expanded
+     */
+    groupBy?: Array<string | number>;
+    /**
+     * Custom renderer of the label of the group rows
+     */
+    groupRenderer?: CallOrReturn<
+      React.ReactNode,
+      GroupInfo & { rowData: any; rowIndex: number; container: BaseTable<T> }
+    >;
+    /**
+     * Whether to render a total row after the rows, which shows the aggregates of the filtered data
+     */
+    totalRow?: boolean;
+    /**
+     * Custom renderer of the label of the total row
+     */
+    totalRenderer?: CallOrReturn<
+      React.ReactNode,
+      TotalInfo & { rowData: any; rowIndex: number; container: BaseTable<T> }
+    >;
     /**
      * Default expanded row keys when initialize the table
      */
@@ -392,6 +604,129 @@ declare module 'react-base-table' {
      * The handler is of the shape of `(expandedRowKeys) => *`
      */
     onExpandedRowsChange?: (expandedRowKeys: RowKey[]) => void;
+    /**
+     * Default selected row keys when initialize the table
+     */
+    defaultSelectedRowKeys?: RowKey[];
+    /**
+     * Controlled selected row keys
+     */
+    selectedRowKeys?: RowKey[];
+    /**
+     * A callback function when the selected row keys changed
+     * The handler is of the shape of `(selectedRowKeys) => *`
+     */
+    onSelectionChange?: (selectedRowKeys: RowKey[]) => void;
+    /**
+     * Whether `selectAll` selects all the rows matching the current query including the ones not loaded yet,
+     * e.g. for the infinite loading table, then the selection is represented as `excludedRowKeys`
+     */
+    selectAllMatching?: boolean;
+    /**
+     * Default excluded row keys when initialize the table
+     */
+    defaultExcludedRowKeys?: RowKey[];
+    /**
+     * Controlled excluded row keys, all the matching rows except these ones are selected,
+     * `null` if not all the matching rows are selected, in which case `selectedRowKeys` is used
+     */
+    excludedRowKeys?: RowKey[] | null;
+    /**
+     * A callback function when the excluded row keys changed, `null` means leaving the all rows mode
+     */
+    onExcludedRowsChange?: (excludedRowKeys: RowKey[] | null) => void;
+    /**
+     * Whether the rows could be selected by clicking, one of `single`, `multiple` and `tree`
+     *
+     * In `multiple` mode, Ctrl/Cmd-click toggles the row, Shift-click selects the rows between the last clicked row and the clicked row
+     *
+     * In `tree` mode, click toggles the row with all its descendants including the collapsed ones, a parent is selected
+     * if all its children are selected, or partially selected if some of them are selected
+     */
+    selectionMode?: SelectionMode;
+    /**
+     * Whether a rectangular range of cells could be selected by dragging the mouse,
+     * the body will be scrolled automatically if dragging out of the viewport
+     */
+    rangeSelectable?: boolean;
+    /**
+     * Default selected cell range when initialize the table
+     */
+    defaultSelectedRange?: CellRange | null;
+    /**
+     * Controlled selected cell range, `null` for no selected cells
+     *
+     * The range is of the shape of `{ startRowKey, endRowKey, startColumnKey, endColumnKey }`,
+     * the start corner is where the selection begins and the end corner is where it ends
+     */
+    selectedRange?: CellRange | null;
+    /**
+     * A callback function when the selected cell range changed
+     * The handler is of the shape of `(selectedRange) => *`
+     */
+    onSelectedRangeChange?: (selectedRange: CellRange | null) => void;
+    /**
+     * Whether the cells could be navigated by keyboard, only the active cell is in the tab sequence
+     *
+     * Supported keys: arrow keys, Home/End, Ctrl/Cmd+Home/End, PageUp/PageDown,
+     * and Left/Right on the cell of `expandColumnKey` to collapse/expand the tree node
+     */
+    keyboardNavigable?: boolean;
+    /**
+     * A callback function when the active cell changed by keyboard navigation or focus
+     * The handler is of the shape of `({ rowKey, columnKey }) => *`
+     */
+    onActiveCellChange?: (activeCell: { rowKey: RowKey; columnKey: string | number }) => void;
+    /**
+     * Whether to copy the selected cell range or the selected rows to clipboard via Ctrl/Cmd+C,
+     * both `text/plain` as TSV and `text/html` as table markup are put to the clipboard.
+     * The value is from `Column.copyFormatter` if provided, or the cell data
+     */
+    copyable?: boolean;
+    /**
+     * Whether to include the column titles as the first row while copying
+     */
+    copyWithHeaders?: boolean;
+    /**
+     * Whether to paste the TSV text from clipboard via Ctrl/Cmd+V, the pasted block starts from the focused cell,
+     * or the top-left cell of the selected range. Only the cells of `Column.editable` are changed
+     */
+    pastable?: boolean;
+    /**
+     * Whether to show the fill handle at the corner of the selected range, works with `rangeSelectable`.
+     * Dragging the handle fills the adjacent editable cells, numeric and date series are continued, others are repeated
+     */
+    fillable?: boolean;
+    /**
+     * A callback function when the cells are changed by the table, e.g. pasting, filling or undoing,
+     * the table doesn't change the data itself, you should apply the changes to `data`
+     */
+    onCellsChange?: (changes: CellChange[], info: { source: CellChangeSource; rejected: RejectedCellChange[] }) => void;
+    /**
+     * The max number of the change batches kept for undo when initialize the table, set to 0 to disable undo
+     */
+    undoLimit?: number;
+    /**
+     * A callback function when the editing of a cell of `Column.editable` is committed and the value is changed,
+     * the table doesn't change the data itself, you should apply the value to `data`.
+     * If a Promise is returned, the editor is kept open in the pending state until it's settled
+     */
+    onCellEditCommit?: (args: {
+      rowData: T;
+      rowKey: RowKey;
+      column: ColumnShape<T>;
+      value: any;
+      source: 'edit' | 'undo' | 'redo';
+    }) => void | Promise<any>;
+    /**
+     * Whether to sort the data by the table according to `sortBy` or `sortState`,
+     * the rows are compared by `Column.sortMethod`, `Column.comparator` or a default comparator on the cell data
+     */
+    clientSort?: boolean;
+    /**
+     * The default sort state when initialize the table, the sort state is managed by the table if `sortBy` is not set
+     */
+    defaultSortBy?: BaseTablePropsSortBy<T>;
     /**
      * The sort state for the table, will be ignored if `sortState` is set
      */
@@ -406,15 +741,66 @@ declare module 'react-base-table' {
      *   'column-1': SortOrder.DESC,
      * }
      * ```
+     *
+     * It could also be an array of `{ key, order }` in priority, then click replaces the sort state,
+     * Shift-click adds a sort column, and the priorities are passed to `SortIndicator` as `sortPriority`
      */
-    sortState?: {
-      [key in string | number]: SortOrder;
-    };
+    sortState?: SortState;
+    /**
+     * The sort orders to cycle through by clicking the sortable header cell, `null` stands for unsorted,
+     * defaults to `['asc', 'desc']`
+     */
+    sortCycle?: Array<SortOrder | null>;
+    /**
+     * The default multiple columns sort state when initialize the table,
+     * the sort state is managed by the table if `sortState` is not set
+     */
+    defaultSortState?: SortState;
     /**
      * A callback function for the header cell click event
-     * The handler is of the shape of `({ column, key, order }) => *`
+     * The handler is of the shape of `({ column, key, order, sortState }) => *`,
+     * `sortState` is the next sort state if `sortState` is used
      */
     onColumnSort?: (args: BaseTablePropsOnColumnSort<T>) => void;
+    /**
+     * Whether to filter the data by the table according to `filterState`, see `Column.filter`
+     */
+    clientFilter?: boolean;
+    /**
+     * The filter state for the table of the shape of `{ [columnKey]: value }`
+     */
+    filterState?: FilterState;
+    /**
+     * The default filter state when initialize the table,
+     * the filter state is managed by the table if `filterState` is not set
+     */
+    defaultFilterState?: FilterState;
+    /**
+     * The height of the filter row, which is an extra header row after the ones of `headerHeight`
+     */
+    filterRowHeight?: number;
+    /**
+     * The text to search in the visible cells, the rows without any matched cell are filtered out
+     */
+    searchText?: string;
+    /**
+     * The filter expression to filter the data, e.g. `status = "open" and age > 30 or name ~ "smi"`,
+     * the invalid expression is ignored and its error is passed to `onFilterExpressionError`
+     */
+    filterExpression?: string;
+    /**
+     * A callback function when `filterExpression` is invalid
+     */
+    onFilterExpressionError?: (args: { filterExpression: string; error: FilterExpressionError }) => void;
+    /**
+     * A callback function when the filter of a column is changed
+     */
+    onFilterChange?: (args: {
+      column: ColumnShape<T>;
+      key: string | number;
+      value: any;
+      filterState: FilterState;
+    }) => void;
     /**
      * A callback function when resizing the column width
      * The handler is of the shape of `({ column, width }) => *`
@@ -513,6 +899,7 @@ declare module 'react-base-table' {
       columnIndex: number;
       rowData: T;
       rowIndex: number;
+      matchRanges: Array<[number, number]>;
       container: BaseTable<T>;
     }>;
     TableHeaderCell?: React.ElementType<{
@@ -523,6 +910,7 @@ declare module 'react-base-table' {
       headerIndex: number;
       container: BaseTable<T>;
     }>;
+    CellEditor?: React.ElementType<CellEditorProps<T> & { className: string }>;
     ExpandIcon?: React.ElementType<{
       depth: number;
       expandable: boolean;
@@ -532,13 +920,17 @@ declare module 'react-base-table' {
     }>;
     SortIndicator?: React.ElementType<{
       sortOrder: SortOrder;
+      sortPriority?: number;
       className: string;
     }>;
+    ColumnFilter?: React.ElementType<ColumnFilterProps<T> & { className: string }>;
   }
 
   export default class BaseTable<T = unknown> extends React.Component<BaseTableProps<T>, any> {
     static readonly Column: typeof Column;
     static readonly PlaceholderKey = '__placeholder__';
+    static readonly GroupKey = '__group__';
+    static readonly TotalKey = '__total__';
     static defaultProps: Partial<BaseTableProps>;
     static propTypes: React.WeakValidationMap<BaseTableProps>;
 
@@ -554,6 +946,63 @@ declare module 'react-base-table' {
      * Get internal `expandedRowKeys` state
      */
     getExpandedRowKeys(): RowKey[];
+    /**
+     * Get internal `selectedRowKeys` state
+     */
+    getSelectedRowKeys(): RowKey[];
+    /**
+     * Get internal `sortBy` state
+     */
+    getSortBy(): BaseTablePropsSortBy<T> | {};
+    /**
+     * Get internal `sortState` state
+     */
+    getSortState(): SortState | null;
+    /**
+     * Get internal `filterState` state
+     */
+    getFilterState(): FilterState;
+    /**
+     * Get the distinct values of the column with their counts, computed from the full data including the nested `children`,
+     * and filtered by all the filters except the column's own one
+     */
+    getColumnFacets(columnKey: string | number): ColumnFacet[];
+    /**
+     * Get the aggregates of the filtered data by `Column.aggregate`, which are rendered in the total row
+     */
+    getTotalAggregates(): Aggregates;
+    /**
+     * Find the cells containing the query in the full data, including the collapsed rows, then go to the first match
+     */
+    find(query: string): FoundCell | null;
+    /**
+     * Go to the next match of the last `find`
+     */
+    findNext(): FoundCell | null;
+    /**
+     * Go to the previous match of the last `find`
+     */
+    findPrevious(): FoundCell | null;
+    /**
+     * Get the selection state of the row, a parent could be indeterminate in `tree` selection mode
+     */
+    getRowSelectionState(rowKey: RowKey): RowSelectionState;
+    /**
+     * Get internal `excludedRowKeys` state, it's `null` unless all the matching rows are selected
+     */
+    getExcludedRowKeys(): RowKey[] | null;
+    /**
+     * Get the state of the select-all checkbox
+     */
+    getSelectAllState(): RowSelectionState;
+    /**
+     * Get internal `selectedRange` state
+     */
+    getSelectedRange(): CellRange | null;
+    /**
+     * Get the active cell for keyboard navigation
+     */
+    getActiveCell(): { rowKey: RowKey; columnKey: string | number } | null;
     /**
      * Get the expanded state, fallback to normal state if not expandable.
      */
@@ -611,11 +1060,56 @@ declare module 'react-base-table' {
      * - `start` - Align the row to the top side of the table.
      */
     scrollToRow(rowIndex?: number, align?: 'auto' | 'smart' | 'center' | 'end' | 'start'): void;
+    /**
+     * Scroll to the specified column horizontally.
+     * Frozen columns are always visible, and the table will scroll as little as possible to ensure the column is visible.
+     */
+    scrollToColumn(columnKey: string | number): void;
+    /**
+     * Set the active cell for keyboard navigation, the cell will be scrolled into view and focused.
+     * This method is available only if `keyboardNavigable` is true.
+     */
+    setActiveCell(activeCell: { rowKey: RowKey; columnKey: string | number }): void;
+    /**
+     * Undo the last batch of changes made by editing or pasting,
+     * the inverse changes are passed to the callback which received the original changes
+     */
+    undo(): boolean;
+    /**
+     * Redo the last undone batch of changes
+     */
+    redo(): boolean;
+    /**
+     * Whether there are changes to undo
+     */
+    canUndo(): boolean;
+    /**
+     * Whether there are undone changes to redo
+     */
+    canRedo(): boolean;
     /**
      * Set `expandedRowKeys` manually.
      * This method is available only if `expandedRowKeys` is uncontrolled.
      */
     setExpandedRowKeys(expandedRowKeys: RowKey[]): void;
+    /**
+     * Set `selectedRowKeys` manually.
+     * This method is available only if `selectedRowKeys` is uncontrolled.
+     */
+    setSelectedRowKeys(selectedRowKeys: RowKey[]): void;
+    /**
+     * Set `selectedRange` manually.
+     * This method is available only if `selectedRange` is uncontrolled.
+     */
+    setSelectedRange(selectedRange: CellRange | null): void;
+    /**
+     * Select or deselect the specified row, `onSelectionChange` will be called with the new selected row keys.
+     */
+    selectRow(rowKey: RowKey, selected?: boolean): void;
+    /**
+     * Select or deselect all the rows, or all the matching rows if `selectAllMatching` is true
+     */
+    selectAll(selected?: boolean): void;
   }
 
   export interface AutoResizerProps {
@@ -645,6 +1139,8 @@ declare module 'react-base-table' {
 
   export const AutoResizer: React.FC<AutoResizerProps>;
 
+  export const ColumnFilter: React.FC<ColumnFilterProps & { className?: string }>;
+
   export function renderElement<T extends object>(
     renderer: React.ReactElement | ((props: Partial<T>) => React.ReactNode),
     props?: T
@@ -675,4 +1171,15 @@ declare module 'react-base-table' {
   export function getValue(object: any, path?: string, defaultValue?: any): any;
 
   export function getScrollbarSize(recalculate?: boolean): number;
+
+  export class FilterExpressionError extends Error {
+    position: number;
+  }
+
+  export function parseFilterExpression(expression: string): FilterExpressionNode | null;
+
+  export function compileFilterExpression<T = any>(
+    expression: string,
+    columns: ColumnShape<T>[]
+  ): ((rowData: T, rowIndex: number) => boolean) | null;
 }
@@ -12,6 +12,18 @@ module.exports = {
       title: 'Selection',
       path: '/docs/selection',
     },
+    {
+      title: 'Sorting',
+      path: '/docs/sorting',
+    },
+    {
+      title: 'Filtering',
+      path: '/docs/filtering',
+    },
+    {
+      title: 'Grouping',
+      path: '/docs/grouping',
+    },
     {
       title: 'Inline Editing',
       path: '/docs/inline-editing',